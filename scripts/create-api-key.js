@@ -0,0 +1,17 @@
+// Generate a new API key and print the client entry to add to API_CLIENTS
+// Usage: npm run create-api-key -- <client-id> [scope ...]
+import crypto from 'crypto';
+import { hashApiKey } from '../src/middleware/auth.js';
+
+const [clientId, ...scopes] = process.argv.slice(2);
+
+if (!clientId) {
+    console.error('Usage: npm run create-api-key -- <client-id> [scope ...]');
+    process.exit(1);
+}
+
+const apiKey = `osb_${crypto.randomBytes(24).toString('base64url')}`;
+
+console.log(`API key (share with the client, it is not stored): ${apiKey}`);
+console.log('Client entry:');
+console.log(JSON.stringify({ id: clientId, keyHash: hashApiKey(apiKey), scopes }, null, 2));
@@ -0,0 +1,43 @@
+// Print the timeline a user would go through in a local journey, without sending anything
+// Usage: npm run journey:dry-run -- <journey-id> [tag=value ...] [step:event ...]
+//   tag=value    a user tag branches see, e.g. plan=pro
+//   step:event   treat a send step as engaged, e.g. welcome:opened
+import { dryRun, getJourneyDefinition, journeyDefinitions } from '../src/services/journeyDefinitions.js';
+
+const [journeyId, ...args] = process.argv.slice(2);
+
+if (!journeyId) {
+    console.error('Usage: npm run journey:dry-run -- <journey-id> [tag=value ...] [step:event ...]');
+    console.error(`Journeys: ${journeyDefinitions().map((definition) => definition.id).join(', ') || '(none)'}`);
+    process.exit(1);
+}
+
+const definition = getJourneyDefinition(journeyId);
+if (!definition) {
+    console.error(`No journey with id: ${journeyId}`);
+    process.exit(1);
+}
+
+const tags = {};
+const engagement = {};
+for (const arg of args) {
+    if (arg.includes('=')) {
+        const [key, ...value] = arg.split('=');
+        tags[key] = value.join('=');
+    } else if (arg.includes(':')) {
+        const [step, event] = arg.split(':');
+        engagement[step] = [...(engagement[step] || []), event];
+    }
+}
+
+const describe = (entry) => {
+    if (entry.type === 'wait') return `wait until ${entry.until}`;
+    if (entry.type === 'branch') return `branch -> ${entry.result} (${entry.next || 'end'})`;
+    if (entry.type === 'end') return 'end of journey';
+    return `${entry.type} "${entry.content.title ?? entry.content.subject}": ${entry.content.body}`;
+};
+
+console.log(`Journey ${definition.id}${definition.name ? ` (${definition.name})` : ''}`);
+for (const entry of dryRun(definition, { tags, engagement })) {
+    console.log(`${entry.at}  ${(entry.step || '').padEnd(20)} ${describe(entry)}`);
+}
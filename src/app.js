@@ -4,7 +4,30 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import notificationRoutes from './routes/notifications.js';
 import emailRoutes from './routes/emails.js';
+import smsRoutes from './routes/sms.js';
 import journeyRoutes from './routes/journeys.js'
+import userRoutes from './routes/users.js';
+import templateRoutes from './routes/templates.js';
+import healthRoutes from './routes/health.js';
+import { authenticate, corsOptions } from './middleware/auth.js';
+import { errorHandler } from './middleware/errors.js';
+import { metrics } from './middleware/metrics.js';
+import { requestId } from './middleware/requestId.js';
+import { markShuttingDown } from './services/health.js';
+import logger from './services/logger.js';
+import { renderMetrics } from './services/metrics.js';
+import { createProvider } from './services/providers.js';
+import scheduler from './services/scheduler.js';
+import scheduleRoutes from './routes/schedules.js';
+import messageRoutes from './routes/messages.js';
+import orchestrator from './services/orchestrator.js';
+import journeyEngine from './services/journeyEngine.js';
+import userImporter from './services/userImport.js';
+import webhookRoutes from './routes/webhooks.js';
+import analyticsRoutes from './routes/analytics.js';
+import jobRoutes from './routes/jobs.js';
+import sendQueue from './services/sendQueue.js';
+import { flushWrites } from './stores/jsonLinesFile.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,48 +35,107 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Channel provider shared by every router, picked by NOTIFICATION_PROVIDER
+const provider = createProvider();
+
+// Middleware; the request id comes first so everything after it logs with the id
+app.use(requestId());
+app.use(metrics());
+app.use(cors(corsOptions()));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Logging middleware
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} [${req.method}] ${req.url}`);
-    next();
-});
+// Liveness and readiness checks
+app.use('/health', healthRoutes(provider));
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        service: 'onesignal-backend',
-        timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development'
-    });
+// Prometheus metrics, unauthenticated like the health check
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
-// Routes
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/emails', emailRoutes);
-app.use('/api/journeys', journeyRoutes);
+// OneSignal webhooks verify their own shared secret, so they are mounted ahead of client auth
+app.use('/api/webhooks', webhookRoutes);
+
+// Routes (every other /api route requires an authenticated client)
+app.use('/api', authenticate());
+app.use('/api/notifications', notificationRoutes(provider));
+app.use('/api/emails', emailRoutes(provider));
+app.use('/api/sms', smsRoutes(provider));
+app.use('/api/journeys', journeyRoutes(provider));
+app.use('/api/users', userRoutes(provider));
+app.use('/api/templates', templateRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/jobs', jobRoutes(provider));
 
 // Error handling middleware
-app.use((error, req, res, next) => {
-    console.error('Unhandled error:', error);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: error.message
-    });
-});
+app.use(errorHandler());
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 OneSignal Backend running on port ${PORT}`);
-    console.log(`📱 Push endpoints: http://localhost:${PORT}/api/notifications`);
-    console.log(`📧 Email endpoints: http://localhost:${PORT}/api/emails`);
-    console.log(`🔄 Journey endpoints: http://localhost:${PORT}/api/journeys`);
-    console.log(`🔍 Health check: http://localhost:${PORT}/health`);
+const server = app.listen(PORT, '0.0.0.0', () => {
+    logger.info('OneSignal Backend started', {
+        port: Number(PORT),
+        provider: provider.name,
+        api: `http://localhost:${PORT}/api`,
+        health: `http://localhost:${PORT}/health/ready`,
+        metrics: `http://localhost:${PORT}/metrics`,
+        webhook: `http://localhost:${PORT}/api/webhooks/onesignal`
+    });
+
+    scheduler.start(provider);
+    orchestrator.start(provider);
+    journeyEngine.start(provider);
+    userImporter.start(provider);
+    sendQueue.start(provider);
 });
 
+// Graceful shutdown: report not ready, stop accepting connections, let in-flight requests and
+// background sends finish and flush the stores. Whatever is still running after
+// SHUTDOWN_TIMEOUT_MS is cut off; scheduled jobs, queued sends, journeys and imports resume at the next start.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    markShuttingDown();
+    logger.info('Shutting down', { signal });
+
+    const timeout = setTimeout(() => {
+        logger.error('Shutdown timed out, exiting with work in progress');
+        process.exit(1);
+    }, Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25000);
+    timeout.unref();
+
+    const closed = new Promise((resolve) => server.close(resolve));
+    // Keep-alive connections with no request in flight would otherwise hold the server open
+    server.closeIdleConnections?.();
+
+    // One step failing must not keep the others from finishing or the stores from being flushed
+    const steps = {
+        server: closed,
+        scheduler: scheduler.stop(),
+        orchestrator: orchestrator.stop(),
+        journeyEngine: journeyEngine.stop(),
+        userImporter: userImporter.stop(),
+        sendQueue: sendQueue.stop()
+    };
+    const results = await Promise.allSettled(Object.values(steps));
+    Object.keys(steps).forEach((step, index) => {
+        if (results[index].status === 'rejected') {
+            logger.error('Shutdown step failed', { step, error: results[index].reason });
+        }
+    });
+
+    await flushWrites();
+
+    logger.info('Shutdown complete');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 export default app;
\ No newline at end of file
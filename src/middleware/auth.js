@@ -0,0 +1,228 @@
+// Authentication and scope-based authorization for /api routes.
+//
+// Callers authenticate with either:
+//   - an API key, sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+//     Only the SHA-256 hash of each key is configured, never the key itself.
+//   - an HS256 JWT, sent as `Authorization: Bearer <jwt>` and signed with JWT_SECRET.
+//     The token's `sub` is the client id and `scope` (space separated) or `scopes` its grants.
+//
+// API clients are configured as JSON, inline in API_CLIENTS or in the file named by API_CLIENTS_FILE:
+//   [{ "id": "mobile-app", "keyHash": "<sha256 hex>", "scopes": ["push:send", "email:send"] }]
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import logger from '../services/logger.js';
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function loadClients() {
+    let raw = process.env.API_CLIENTS;
+
+    if (!raw && process.env.API_CLIENTS_FILE) {
+        raw = fs.readFileSync(process.env.API_CLIENTS_FILE, 'utf8');
+    }
+
+    if (!raw) {
+        return [];
+    }
+
+    const clients = JSON.parse(raw);
+    if (!Array.isArray(clients)) {
+        throw new Error('API client configuration must be a JSON array');
+    }
+
+    return clients.map((client) => {
+        if (!client.id || !/^[a-f0-9]{64}$/i.test(client.keyHash || '')) {
+            throw new Error('Each API client needs an id and a SHA-256 hex keyHash');
+        }
+        return {
+            id: client.id,
+            keyHash: client.keyHash.toLowerCase(),
+            scopes: client.scopes || []
+        };
+    });
+}
+
+const clients = loadClients();
+const jwtSecret = process.env.JWT_SECRET;
+const authDisabled = process.env.AUTH_DISABLED === 'true';
+
+if (authDisabled) {
+    logger.warn('AUTH_DISABLED is set - /api routes are open to any caller');
+}
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+function findClientByKey(key) {
+    const keyHash = hashApiKey(key);
+    return clients.find((client) => safeEqual(client.keyHash, keyHash)) || null;
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Verify an HS256 JWT and return its client, or throw with the reason
+function verifyJwt(token) {
+    if (!jwtSecret) {
+        throw new Error('JWT authentication is not configured');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+
+    let header;
+    let payload;
+    try {
+        header = decodeSegment(encodedHeader);
+        payload = decodeSegment(encodedPayload);
+    } catch {
+        throw new Error('Malformed token');
+    }
+
+    if (header.alg !== 'HS256') {
+        throw new Error('Unsupported token algorithm');
+    }
+
+    const expected = crypto
+        .createHmac('sha256', jwtSecret)
+        .update(`${encodedHeader}.${encodedPayload}`)
+        .digest('base64url');
+
+    if (!safeEqual(expected, signature || '')) {
+        throw new Error('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.exp !== undefined && now >= payload.exp) {
+        throw new Error('Token expired');
+    }
+    if (payload.nbf !== undefined && now < payload.nbf) {
+        throw new Error('Token not yet valid');
+    }
+    if (!payload.sub) {
+        throw new Error('Token has no subject');
+    }
+
+    const scopes = Array.isArray(payload.scopes)
+        ? payload.scopes
+        : (payload.scope || '').split(' ').filter(Boolean);
+
+    return { id: payload.sub, scopes };
+}
+
+const unauthorized = (res, message) => res.status(401).json({
+    error: 'Unauthorized',
+    code: 'unauthorized',
+    message,
+    success: false
+});
+
+// Resolve the calling client and attach it as req.client
+export function authenticate() {
+    return (req, res, next) => {
+        if (authDisabled) {
+            req.client = { id: 'anonymous', scopes: ['*'], method: 'none' };
+            return next();
+        }
+
+        const authorization = req.get('authorization') || '';
+        const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+        const apiKey = req.get('x-api-key') || bearer;
+
+        if (!apiKey) {
+            return unauthorized(res, 'Provide an API key or a bearer token');
+        }
+
+        // JWTs are three base64url segments; anything else is treated as an API key
+        if (bearer && bearer.split('.').length === 3) {
+            try {
+                req.client = { ...verifyJwt(bearer), method: 'jwt' };
+                return next();
+            } catch (error) {
+                return unauthorized(res, error.message);
+            }
+        }
+
+        const client = findClientByKey(apiKey);
+        if (!client) {
+            return unauthorized(res, 'Invalid API key');
+        }
+
+        req.client = { id: client.id, scopes: client.scopes, method: 'api_key' };
+        next();
+    };
+}
+
+// Whether `scopes` grants `required`, honouring "*" and "channel:*" wildcards
+export function hasScope(scopes, required) {
+    const [resource] = required.split(':');
+    return scopes.some((scope) => scope === '*' || scope === required || scope === `${resource}:*`);
+}
+
+// Reject the request unless the authenticated client holds `scope`. `scope` may also be a function
+// of the request, for scopes that depend on the body; it returns null when no scope is needed.
+export function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.client) {
+            return unauthorized(res, 'Authentication required');
+        }
+
+        const required = typeof scope === 'function' ? scope(req) : scope;
+        if (required && !hasScope(req.client.scopes, required)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                code: 'forbidden',
+                message: `Missing required scope: ${required}`,
+                success: false
+            });
+        }
+
+        next();
+    };
+}
+
+// A send naming a segment also needs the channel's segment scope, whatever route it comes through
+export const requireSegmentScope = (channel) =>
+    requireScope((req) => (req.body.segment ? `${channel}:segment` : null));
+
+// Verify an inbound OneSignal webhook against ONESIGNAL_WEBHOOK_SECRET. The secret is sent as
+// `X-Webhook-Secret` (event streams can add custom headers) or as a `token` query parameter
+// (web push webhooks are called with a fixed URL and no custom headers).
+export function verifyWebhookSecret() {
+    return (req, res, next) => {
+        const secret = process.env.ONESIGNAL_WEBHOOK_SECRET;
+        if (!secret) {
+            return res.status(503).json({
+                error: 'Webhook receiver not configured',
+                code: 'webhook_not_configured',
+                message: 'Set ONESIGNAL_WEBHOOK_SECRET to accept OneSignal webhooks',
+                success: false
+            });
+        }
+
+        const provided = req.get('x-webhook-secret') || req.query.token;
+        if (!provided || !safeEqual(String(provided), secret)) {
+            return unauthorized(res, 'Invalid webhook secret');
+        }
+
+        next();
+    };
+}
+
+// CORS options built from the CORS_ORIGINS allow-list (comma separated, "*" for any origin)
+export function corsOptions() {
+    const origins = (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map((origin) => origin.trim())
+        .filter(Boolean);
+
+    if (origins.includes('*')) {
+        return { origin: '*' };
+    }
+
+    return {
+        origin: (origin, callback) => callback(null, origins.includes(origin))
+    };
+}
@@ -0,0 +1,47 @@
+// Error responses: every failure is answered with its status, a stable code and the request id
+//
+//   { "error": "Failed to send push notification", "code": "onesignal_bad_request",
+//     "message": "Segment 'VIPs' not found", "requestId": "...", "success": false }
+import { AppError } from '../services/errors.js';
+import logger, { currentRequestId } from '../services/logger.js';
+
+// Answer `error` for a route that failed to do `title`. Errors without a status of their own are 500s.
+// `fields` adds details of this failure to the body, e.g. the variables a template is missing.
+export function sendError(res, error, title = 'Internal server error', fields = {}) {
+    const status = error instanceof AppError ? error.status : 500;
+    const code = error instanceof AppError ? error.code : 'internal_error';
+
+    if (status >= 500) {
+        logger.error(title, { error });
+    } else {
+        logger.warn(title, { error });
+    }
+
+    if (error.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+
+    res.status(status).json({
+        error: title,
+        code,
+        message: error.message,
+        ...fields,
+        requestId: currentRequestId(),
+        success: false
+    });
+}
+
+// Body parser failures keep their 4xx; anything else that reaches Express is a 500
+export function errorHandler() {
+    // Express only treats four-argument middleware as an error handler
+    return (error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return sendError(res, new AppError('Request body is not valid JSON', { status: 400, code: 'invalid_json' }), 'Bad request');
+        }
+        if (error.type === 'entity.too.large') {
+            return sendError(res, new AppError(error.message, { status: 413, code: 'payload_too_large' }), 'Payload too large');
+        }
+
+        sendError(res, error);
+    };
+}
@@ -0,0 +1,87 @@
+// Idempotency-Key support for send routes.
+//
+// The first request with a given key is processed normally and its response stored.
+// Repeats within the TTL get the stored response back (with `Idempotent-Replayed: true`)
+// instead of sending again. Keys are scoped to the calling client and route.
+import crypto from 'crypto';
+import idempotencyStore from '../stores/idempotency.js';
+import logger from '../services/logger.js';
+
+const MAX_KEY_LENGTH = 255;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// OneSignal expects a UUID idempotency_key, so one is derived from the scoped key
+export function toOneSignalKey(scopedKey) {
+    const hex = sha256(scopedKey);
+    return [
+        hex.slice(0, 8),
+        hex.slice(8, 12),
+        `4${hex.slice(13, 16)}`,
+        `${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}`,
+        hex.slice(20, 32)
+    ].join('-');
+}
+
+export function idempotency() {
+    return async (req, res, next) => {
+        const key = req.get('idempotency-key');
+
+        if (key === undefined) {
+            return next();
+        }
+
+        if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                error: 'Invalid Idempotency-Key',
+                code: 'invalid_idempotency_key',
+                message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+                success: false
+            });
+        }
+
+        const scopedKey = `${req.client?.id || 'anonymous'}:${req.method} ${req.baseUrl}${req.path}:${key}`;
+        const fingerprint = sha256(JSON.stringify(req.body ?? null));
+        const existing = idempotencyStore.begin(scopedKey, fingerprint);
+
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    error: 'Idempotency-Key reused',
+                    code: 'idempotency_key_reused',
+                    message: 'This Idempotency-Key was already used with a different request body',
+                    success: false
+                });
+            }
+
+            if (existing.state === 'in_flight') {
+                return res.status(409).json({
+                    error: 'Request in progress',
+                    code: 'idempotency_key_in_progress',
+                    message: 'A request with this Idempotency-Key is still being processed',
+                    success: false
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.status).json(existing.body);
+        }
+
+        req.idempotencyKey = toOneSignalKey(scopedKey);
+
+        // Capture the handler's response; server errors release the key so the send can be retried
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 500) {
+                idempotencyStore.release(scopedKey);
+            } else {
+                idempotencyStore.complete(scopedKey, res.statusCode, body).catch((error) => {
+                    logger.error('Idempotency store write failed', { error });
+                });
+            }
+            return json(body);
+        };
+
+        next();
+    };
+}
@@ -0,0 +1,16 @@
+// Request metrics: every answered request is counted and timed by its route pattern
+import { httpRequestDuration, httpRequestsTotal, routeOf, withMetricsRequest } from '../services/metrics.js';
+
+export function metrics() {
+    return (req, res, next) => {
+        const started = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            const route = routeOf(req);
+            httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+            httpRequestDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+        });
+
+        withMetricsRequest(req, next);
+    };
+}
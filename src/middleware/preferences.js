@@ -0,0 +1,53 @@
+// Hold single-recipient sends to the recipient's notification preferences
+import { checkPreferences } from '../services/preferences.js';
+import { toSeconds } from '../services/notificationProvider.js';
+import { sendError } from './errors.js';
+import { AppError } from '../services/errors.js';
+import logger from '../services/logger.js';
+
+// When a delayed send would arrive; null for sends in each user's own timezone
+function delayedSendTime({ sendAt, delayAmount = 30, delayUnit = 'seconds' }) {
+    if (sendAt) {
+        return new Date(sendAt);
+    }
+    return delayUnit === 'timezone' ? null : new Date(Date.now() + toSeconds(delayAmount, delayUnit) * 1000);
+}
+
+// Opted-out sends are answered with 422 here. Sends that would arrive during quiet hours go on with
+// req.deferral set, and the route sends them for the end of the quiet hours instead. Segment sends
+// have no single recipient and pass through unchecked.
+export function enforcePreferences(channel, { delayed = false } = {}) {
+    return (req, res, next) => {
+        const { userId, email, phoneNumber, category, bypassPreferences } = req.body;
+        req.deferral = null;
+
+        if (!userId && !email && !phoneNumber) {
+            return next();
+        }
+
+        const verdict = checkPreferences({ userId, email, phoneNumber }, {
+            channel,
+            category,
+            bypass: bypassPreferences,
+            at: delayed ? delayedSendTime(req.body) : new Date()
+        });
+
+        if (verdict.action === 'reject') {
+            logger.info('Send rejected by preferences', { channel, userId, email, phoneNumber, reason: verdict.message });
+            const error = new AppError(verdict.message, { status: 422, code: 'blocked_by_preferences' });
+            return sendError(res, error, 'Blocked by user preferences', { reason: verdict.reason });
+        }
+
+        if (verdict.action === 'defer') {
+            logger.info('Send deferred for quiet hours', { channel, userId, email, phoneNumber, until: verdict.until });
+            req.deferral = verdict;
+        }
+
+        next();
+    };
+}
+
+// Response fields reporting a quiet hours deferral, empty when the send was not deferred
+export const deferralFields = (deferral) => (deferral
+    ? { deferred: true, deferredUntil: deferral.until, reason: deferral.reason, deferralMessage: deferral.message }
+    : {});
@@ -0,0 +1,32 @@
+// Correlation ids: every request runs with an id, taken from a well-formed X-Request-Id header or
+// generated, that is echoed back, added to every log entry and sent on to OneSignal.
+import crypto from 'crypto';
+import logger, { withLogContext } from '../services/logger.js';
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Log one line per finished request, and run the rest of the chain with the request's id
+export function requestId() {
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+
+        const started = process.hrtime.bigint();
+        withLogContext({ requestId: req.id }, () => {
+            // 'finish' can fire outside the request's async context, so the id is passed explicitly
+            res.on('finish', () => {
+                logger.info('Request completed', {
+                    requestId: req.id,
+                    method: req.method,
+                    // Without the query string, which may carry secrets such as the webhook ?token=
+                    path: req.originalUrl.split('?')[0],
+                    status: res.statusCode,
+                    durationMs: Number((process.hrtime.bigint() - started) / 1000000n),
+                    client: req.client?.id ?? null
+                });
+            });
+            next();
+        });
+    };
+}
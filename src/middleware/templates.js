@@ -0,0 +1,72 @@
+// Fill a send request's content from a stored template when it names a templateId
+import { sendError } from './errors.js';
+import { AppError } from '../services/errors.js';
+import { renderTemplate } from '../services/templateEngine.js';
+import templates from '../stores/templates.js';
+
+// Look up req.body.templateId for `channel`, answering 404/400 itself when it cannot be used
+function findTemplate(req, res, channel) {
+    const { templateId } = req.body;
+    const template = templates.get(templateId);
+
+    if (!template) {
+        sendError(res, new AppError(`No template with id: ${templateId}`, { status: 404, code: 'template_not_found' }), 'Template not found');
+        return null;
+    }
+
+    if (template.channel !== channel) {
+        const message = `Template ${templateId} is for the ${template.channel} channel, not ${channel}`;
+        sendError(res, new AppError(message, { status: 400, code: 'template_channel_mismatch' }), 'Template channel mismatch');
+        return null;
+    }
+
+    return template;
+}
+
+// Attach the named template as req.template without rendering it (batch sends render per recipient)
+export function loadTemplate(channel) {
+    return (req, res, next) => {
+        if (!req.body.templateId) {
+            return next();
+        }
+
+        const template = findTemplate(req, res, channel);
+        if (template) {
+            req.template = template;
+            next();
+        }
+    };
+}
+
+// Email customData doubles as template variables; explicit `variables` win over it
+export function applyTemplate(channel) {
+    return (req, res, next) => {
+        const { templateId, variables = {}, customData = {} } = req.body;
+
+        if (!templateId) {
+            return next();
+        }
+
+        const template = findTemplate(req, res, channel);
+        if (!template) {
+            return;
+        }
+
+        const source = channel === 'email' ? { ...customData, ...variables } : variables;
+        const { rendered, missing } = renderTemplate(template, source);
+
+        if (missing.length > 0) {
+            const error = new AppError(`No value or default for: ${missing.join(', ')}`, { status: 400, code: 'template_variables_missing' });
+            return sendError(res, error, 'Missing template variables', { missingVariables: missing });
+        }
+
+        // Content set explicitly on the request takes precedence over the template
+        for (const [field, value] of Object.entries(rendered)) {
+            if (req.body[field] === undefined) {
+                req.body[field] = value;
+            }
+        }
+
+        next();
+    };
+}
@@ -0,0 +1,177 @@
+// Declarative request validation.
+//
+// A schema describes the fields of one request source (body, query or params):
+//
+//   {
+//       fields: {
+//           title: { type: 'string', required: true, maxLength: 200 },
+//           data: { type: 'object' }
+//       },
+//       atLeastOne: [['userId', 'segment']],
+//       check: (values) => [{ field, message }]
+//   }
+//
+// A rule's `custom(value, values, field)` returns an error message, or null when the value is valid.
+//
+// Every field error is collected so the caller gets the full list in one 400.
+
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// E.164: a leading +, a country code that does not start with 0, and at most 15 digits in all
+export const PHONE_REGEX = /^\+[1-9]\d{6,14}$/;
+
+export const DELAY_UNITS = ['seconds', 'minutes', 'hours', 'days', 'weeks', 'timezone'];
+
+// Parsed query strings have a null prototype, so those count as plain objects too
+const isPlainObject = (value) =>
+    value !== null &&
+    typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const typeCheckers = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: isPlainObject,
+    array: Array.isArray,
+    email: (value) => typeof value === 'string' && EMAIL_REGEX.test(value),
+    phone: (value) => typeof value === 'string' && PHONE_REGEX.test(value),
+    // Query strings only ever carry strings, so numeric query params are checked by shape
+    numeric: (value) => typeof value === 'string' && /^\d+$/.test(value),
+    isoDate: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+};
+
+const typeLabels = {
+    object: 'a plain object',
+    array: 'an array',
+    integer: 'an integer',
+    email: 'a valid email address',
+    phone: 'an E.164 phone number such as +14155550123',
+    numeric: 'a non-negative integer',
+    isoDate: 'an ISO 8601 date'
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Validate a single value against its rule, pushing errors for `field`
+function checkValue(field, value, rule, values, errors) {
+    if (rule.type && !typeCheckers[rule.type](value)) {
+        errors.push({ field, message: `${field} must be ${typeLabels[rule.type] || `a ${rule.type}`}` });
+        return;
+    }
+
+    if (rule.nonEmpty && typeof value === 'string' && value.trim() === '') {
+        errors.push({ field, message: `${field} must not be empty` });
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+    }
+
+    if (rule.positive && !(value > 0)) {
+        errors.push({ field, message: `${field} must be a positive number` });
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field, message: `${field} must be at least ${rule.min}` });
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field, message: `${field} must be at most ${rule.max}` });
+    }
+
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        errors.push({ field, message: `${field} must have a length of at least ${rule.minLength}` });
+    }
+
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push({ field, message: `${field} must have a length of at most ${rule.maxLength}` });
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push({ field, message: rule.patternMessage || `${field} has an invalid format` });
+    }
+
+    if (rule.items && Array.isArray(value)) {
+        value.forEach((item, index) => {
+            const itemField = `${field}[${index}]`;
+            if (isMissing(item)) {
+                errors.push({ field: itemField, message: `${itemField} is required` });
+            } else {
+                checkValue(itemField, item, rule.items, values, errors);
+            }
+        });
+    }
+
+    if (rule.properties && isPlainObject(value)) {
+        errors.push(...validateFields(rule.properties, value, `${field}.`));
+    }
+
+    if (rule.custom) {
+        const message = rule.custom(value, values, field);
+        if (message) {
+            errors.push({ field, message });
+        }
+    }
+}
+
+function validateFields(fields, values, prefix = '') {
+    const errors = [];
+
+    for (const [name, rule] of Object.entries(fields)) {
+        const field = `${prefix}${name}`;
+        const value = values[name];
+
+        if (isMissing(value)) {
+            const required = typeof rule.required === 'function' ? rule.required(values) : rule.required;
+            if (required) {
+                errors.push({ field, message: `${field} is required` });
+            }
+            continue;
+        }
+
+        checkValue(field, value, rule, values, errors);
+    }
+
+    return errors;
+}
+
+// Run a schema against a plain object and return the list of field errors
+export function validateSchema(schema, input) {
+    const values = isPlainObject(input) ? input : {};
+    const errors = validateFields(schema.fields || {}, values);
+
+    for (const group of schema.atLeastOne || []) {
+        if (group.every((name) => isMissing(values[name]))) {
+            errors.push({
+                field: group.join('|'),
+                message: `Either ${group.join(' or ')} must be provided`
+            });
+        }
+    }
+
+    if (schema.check) {
+        errors.push(...(schema.check(values) || []));
+    }
+
+    return errors;
+}
+
+// Express middleware running `schema` against req[source]
+export function validate(schema, source = 'body') {
+    return (req, res, next) => {
+        const errors = validateSchema(schema, req[source]);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'validation_failed',
+                details: errors,
+                success: false
+            });
+        }
+
+        next();
+    };
+}
@@ -0,0 +1,29 @@
+import 'dotenv/config';
+import express from 'express';
+import { validate } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { engagementQuerySchema } from '../schemas/analytics.js';
+import { aggregateEngagement, notificationEngagement } from '../services/engagement.js';
+
+const router = express.Router();
+
+// Open rate and click-through grouped by campaign, segment or day of send
+router.get('/engagement', requireScope('analytics:read'), validate(engagementQuerySchema, 'query'), (req, res) => {
+    const { groupBy, channel, from, to } = req.query;
+
+    res.json({
+        groupBy,
+        groups: aggregateEngagement({ groupBy, channel, from, to }),
+        success: true
+    });
+});
+
+// Engagement counts and the event timeline of one notification
+router.get('/notifications/:notificationId', requireScope('analytics:read'), (req, res) => {
+    res.json({
+        engagement: notificationEngagement(req.params.notificationId),
+        success: true
+    });
+});
+
+export default router;
@@ -1,173 +1,333 @@
 import 'dotenv/config';
 import express from 'express';
-import OneSignalService from '../services/onesignal.js';
-
-const router = express.Router();
-const oneSignal = new OneSignalService();
-
-// Health check
-router.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        service: 'email',
-        provider: 'onesignal',
-        timestamp: new Date().toISOString()
-    });
-});
+import { validate } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { applyTemplate, loadTemplate } from '../middleware/templates.js';
+import { deferralFields, enforcePreferences } from '../middleware/preferences.js';
+import {
+    delayedEmailSchema,
+    emailBatchSchema,
+    emailHistorySchema,
+    emailSchema,
+    segmentEmailSchema
+} from '../schemas/emails.js';
+import { serviceHealth } from './health.js';
+import { sendAccepted } from './jobs.js';
+import { sendBatch } from '../services/batch.js';
+import { suppressedResponse } from '../services/frequency.js';
+import { checkPreferences } from '../services/preferences.js';
+import scheduler from '../services/scheduler.js';
+import sendQueue from '../services/sendQueue.js';
+import { cancelSend, getStatus, listPending } from '../services/notificationStatus.js';
+import { TemplateSyntaxError } from '../services/templateEngine.js';
+import logger from '../services/logger.js';
+import outbox from '../stores/outbox.js';
 
-// Send immediate email
-router.post('/send', async (req, res) => {
-    try {
-        const { email, subject, body, userId, customData } = req.body;
+// Email routes, sending through the injected channel provider
+export default function emailRoutes(provider) {
+    const router = express.Router();
 
-        // Validation
-        if (!email || !subject || !body) {
-            return res.status(400).json({
-                error: 'Missing required fields: email, subject, body'
-            });
-        }
+    // Readiness of the provider, stores and scheduler behind these routes
+    router.get('/health', serviceHealth(provider, 'email'));
+
+    // Send immediate email
+    router.post('/send', requireScope('email:send'), validate(emailSchema), idempotency(), applyTemplate('email'), enforcePreferences('email'), async (req, res) => {
+        try {
+            const { email, subject, body, language, userId, customData } = req.body;
+            const { deferral } = req;
+            const params = { email, subject, body, language, userId, customData: customData || {} };
+            const context = {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            };
 
-        // Basic email validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({
-                error: 'Invalid email format'
+            logger.info('Sending email', { email });
+
+            // Quiet hours turn an immediate send into one scheduled for when they end
+            const result = deferral
+                ? await provider.sendDelayedEmail({ ...params, sendAt: deferral.until }, context)
+                : await provider.sendEmail(params, context);
+
+            if (result.suppressed) {
+                return res.json({ ...suppressedResponse('Email', result), email });
+            }
+
+            res.json({
+                message: deferral ? `Email deferred until ${deferral.until}` : 'Email sent successfully',
+                email,
+                notificationId: result.id,
+                recipients: result.recipients,
+                ...deferralFields(deferral),
+                success: true
             });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to send email');
         }
+    });
 
-        console.log(`📧 Sending immediate email to: ${email}`);
+    // Send delayed email
+    router.post('/send/delayed', requireScope('email:send'), validate(delayedEmailSchema), idempotency(), applyTemplate('email'), enforcePreferences('email', { delayed: true }), async (req, res) => {
+        try {
+            const {
+                email,
+                subject,
+                body,
+                language,
+                userId,
+                customData,
+                delayAmount = 30,
+                delayUnit = 'seconds'
+            } = req.body;
+            const { deferral } = req;
+            // A send that would land in quiet hours goes out when they end instead
+            const sendAt = deferral ? deferral.until : req.body.sendAt;
 
-        const result = await oneSignal.sendEmail({
-            email,
-            subject,
-            body,
-            userId,
-            customData: customData || {}
-        });
+            const runAt = sendAt
+                ? new Date(sendAt)
+                : delayUnit !== 'timezone' && new Date(Date.now() + provider.convertToSeconds(delayAmount, delayUnit) * 1000);
 
-        res.json({
-            message: 'Email sent successfully',
-            email,
-            notificationId: result.id,
-            recipients: result.recipients,
-            success: true
-        });
+            // Sends beyond OneSignal's scheduling window are held by the local scheduler instead
+            if (runAt && scheduler.isBeyondOneSignalWindow(runAt)) {
+                logger.info('Scheduling email locally', { email, runAt: runAt.toISOString() });
 
-    } catch (error) {
-        console.error('Email send error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to send email',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
+                const job = await scheduler.schedule({
+                    channel: 'email',
+                    params: {
+                        email,
+                        subject,
+                        body,
+                        language,
+                        userId,
+                        customData: customData || {},
+                        campaign: req.body.campaign,
+                        category: req.body.category,
+                        bypassPreferences: req.body.bypassPreferences
+                    },
+                    runAt,
+                    caller: req.client.id
+                });
 
-// Send delayed email
-router.post('/send/delayed', async (req, res) => {
-    try {
-        const {
-            email,
-            subject,
-            body,
-            userId,
-            customData,
-            delayAmount = 30,
-            delayUnit = 'seconds'
-        } = req.body;
-
-        // Validation
-        if (!email || !subject || !body) {
-            return res.status(400).json({
-                error: 'Missing required fields: email, subject, body'
+                return res.json({
+                    message: `Email scheduled for ${job.runAt}`,
+                    email,
+                    scheduleId: job.id,
+                    scheduledFor: job.runAt,
+                    scheduledBy: 'local',
+                    ...deferralFields(deferral),
+                    success: true
+                });
+            }
+
+            logger.info('Scheduling email', { email, sendAt, delayAmount, delayUnit });
+
+            const result = await provider.sendDelayedEmail({
+                email,
+                subject,
+                body,
+                language,
+                userId,
+                customData: customData || {},
+                delayAmount,
+                delayUnit,
+                sendAt
+            }, {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
             });
-        }
 
-        // Basic email validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({
-                error: 'Invalid email format'
+            if (result.suppressed) {
+                return res.json({ ...suppressedResponse('Email', result), email });
+            }
+
+            const delayText = sendAt
+                ? `for ${runAt.toISOString()}`
+                : delayUnit === 'timezone' ? `at ${delayAmount}` : `in ${delayAmount} ${delayUnit}`;
+
+            res.json({
+                message: `Email scheduled ${delayText}`,
+                email,
+                notificationId: result.id,
+                recipients: result.recipients,
+                scheduledFor: runAt ? runAt.toISOString() : `${delayAmount} in user's timezone`,
+                scheduledBy: 'onesignal',
+                ...deferralFields(deferral),
+                success: true
             });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to schedule email');
         }
+    });
+
+
+    // Send email to segment
+    router.post('/send/segment', requireScope('email:segment'), validate(segmentEmailSchema), idempotency(), applyTemplate('email'), async (req, res) => {
+        try {
+            const { segment, subject, body, language, customData } = req.body;
+            const email = { segment, subject, body, language, customData: customData || {} };
+            const context = {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            };
+
+            if (req.body.async) {
+                const job = await sendQueue.enqueue({ channel: 'email', action: 'sendEmailToSegment', params: email, context });
+                return sendAccepted(res, job, `Email to segment ${segment} queued`);
+            }
+
+            logger.info('Sending email to segment', { segment });
 
-        if (!oneSignal.isValidDelayUnit(delayUnit)) {
-            return res.status(400).json({
-                error: 'Invalid delay unit. Must be one of: seconds, minutes, hours, days, timezone'
+            const result = await provider.sendEmailToSegment(email, context);
+
+            res.json({
+                message: `Email sent to segment: ${segment}`,
+                notificationId: result.id,
+                recipients: result.recipients,
+                success: true
             });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to send email to segment');
         }
+    });
 
-        console.log(`📧⏰ Scheduling email for: ${email} - ${delayAmount} ${delayUnit}`);
+    // Send personalized emails to many recipients
+    router.post('/batch', requireScope('email:send'), validate(emailBatchSchema), idempotency(), loadTemplate('email'), async (req, res) => {
+        try {
+            const { subject, body, language, customData, variables, recipients, category, bypassPreferences } = req.body;
+            const template = req.template;
 
-        const result = await oneSignal.sendDelayedEmail({
-            email,
-            subject,
-            body,
-            userId,
-            customData: customData || {},
-            delayAmount,
-            delayUnit
-        });
+            logger.info('Sending batch email', { recipients: recipients.length });
+
+            const report = await sendBatch(provider, {
+                channel: 'email',
+                recipients,
+                content: {
+                    subject: subject ?? template?.subject,
+                    body: body ?? template?.body
+                },
+                variables: { ...template?.defaults, ...variables },
+                language,
+                customData: customData || {},
+                screen: (recipient) => checkPreferences({ email: recipient.email }, {
+                    channel: 'email',
+                    category,
+                    bypass: bypassPreferences
+                })
+            }, {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            });
 
-        const delayText = delayUnit === 'timezone'
-            ? `at ${delayAmount}`
-            : `in ${delayAmount} ${delayUnit}`;
+            const { sent, rejected, failed } = report.summary;
 
+            res.json({
+                message: `Batch email processed: ${sent} sent, ${rejected} rejected, ${failed} failed`,
+                ...report,
+                success: failed === 0
+            });
+
+        } catch (error) {
+            if (error instanceof TemplateSyntaxError) {
+                return sendError(res, error, 'Invalid template');
+            }
+
+            sendError(res, error, 'Failed to send batch email');
+        }
+    });
+
+    // List this client's emails that are scheduled but not sent yet
+    router.get('/send/scheduled', requireScope('email:read'), (req, res) => {
         res.json({
-            message: `Email scheduled ${delayText}`,
-            email,
-            notificationId: result.id,
-            recipients: result.recipients,
-            scheduledFor: delayUnit !== 'timezone' ?
-                new Date(Date.now() + oneSignal.convertToSeconds(delayAmount, delayUnit) * 1000).toISOString() :
-                `${delayAmount} in user's timezone`,
+            scheduled: listPending('email', req.client.id),
             success: true
         });
+    });
 
-    } catch (error) {
-        console.error('Delayed email error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to schedule email',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
+    // Get email status (OneSignal notification id or local schedule id)
+    router.get('/send/:notificationId', requireScope('email:read'), async (req, res) => {
+        try {
+            const { notificationId } = req.params;
+
+            const status = await getStatus(provider, notificationId, 'email', req.client.id);
+            if (!status) {
+                return res.status(404).json({
+                    error: 'Email not found',
+                    message: `No email with id: ${notificationId}`,
+                    success: false
+                });
+            }
+
+            res.json({
+                message: 'Email details retrieved',
+                notification: status,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to get email details');
+        }
+    });
 
+    // Cancel scheduled email (OneSignal notification id or local schedule id)
+    router.delete('/send/:notificationId', requireScope('email:cancel'), async (req, res) => {
+        try {
+            const { notificationId } = req.params;
 
-// Send email to segment
-router.post('/send/segment', async (req, res) => {
-    try {
-        const { segment, subject, body, customData } = req.body;
+            const status = await cancelSend(provider, notificationId, 'email', req.client.id);
+            if (!status) {
+                return res.status(404).json({
+                    error: 'Email not found',
+                    message: `No pending email with id: ${notificationId}`,
+                    success: false
+                });
+            }
 
-        // Validation
-        if (!segment || !subject || !body) {
-            return res.status(400).json({
-                error: 'Missing required fields: segment, subject, body'
+            res.json({
+                message: 'Email cancelled successfully',
+                notificationId,
+                notification: status,
+                success: true
             });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to cancel email');
         }
+    });
 
-        console.log(`📧👥 Sending email to segment: ${segment}`);
+    // List emails sent through this service
+    router.get('/history', requireScope('email:read'), validate(emailHistorySchema, 'query'), (req, res) => {
+        const { userId, email, segment, from, to, cursor, limit } = req.query;
 
-        const result = await oneSignal.sendEmailToSegment({
+        const { items, nextCursor } = outbox.query({
+            channel: 'email',
+            userId,
+            email,
             segment,
-            subject,
-            body,
-            customData: customData || {}
+            from,
+            to,
+            caller: req.client.id,
+            cursor,
+            limit
         });
 
         res.json({
-            message: `Email sent to segment: ${segment}`,
-            notificationId: result.id,
-            recipients: result.recipients,
+            emails: items,
+            nextCursor,
             success: true
         });
+    });
 
-    } catch (error) {
-        console.error('Segment email error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to send email to segment',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
-
-export default router;
\ No newline at end of file
+    return router;
+}
@@ -0,0 +1,61 @@
+import express from 'express';
+import OneSignalService from '../services/onesignal.js';
+import { cachedReadiness, isShuttingDown, readiness } from '../services/health.js';
+
+const startedAt = Date.now();
+
+// Answer a readiness report: 200 when every component is up, 503 otherwise
+function sendReadiness(res, provider, { ready, shuttingDown, checks, cached = false }, fields = {}) {
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'READY' : 'NOT_READY',
+        ...fields,
+        provider: provider.name,
+        shuttingDown,
+        cached,
+        timestamp: new Date().toISOString(),
+        checks
+    });
+}
+
+// Readiness of one API area, for the /health route of each router; answered from the last report
+// while it is fresh, so only /health/ready runs the checks on every call
+export function serviceHealth(provider, service) {
+    return async (req, res) => sendReadiness(res, provider, await cachedReadiness(provider), { service });
+}
+
+// Liveness and readiness probes, unauthenticated so orchestrators can call them
+export default function healthRoutes(provider) {
+    const router = express.Router();
+
+    // Liveness: the process is up and serving requests; never checks dependencies
+    router.get('/live', (req, res) => {
+        res.json({
+            status: 'OK',
+            service: 'onesignal-backend',
+            uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+            shuttingDown: isShuttingDown(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Readiness: OneSignal credentials, local stores and the scheduler
+    router.get('/ready', async (req, res) => {
+        sendReadiness(res, provider, await readiness(provider), { service: 'onesignal-backend' });
+    });
+
+    // Summary kept for existing monitors; DEGRADED while the OneSignal circuit breaker is open
+    router.get('/', (req, res) => {
+        const circuit = OneSignalService.circuitBreaker.getState();
+
+        res.json({
+            status: circuit.state === 'open' ? 'DEGRADED' : 'OK',
+            service: 'onesignal-backend',
+            timestamp: new Date().toISOString(),
+            environment: process.env.NODE_ENV || 'development',
+            provider: provider.name,
+            onesignal: { circuit }
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,112 @@
+import express from 'express';
+import { validate } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { listJobsSchema } from '../schemas/jobs.js';
+import logger from '../services/logger.js';
+import { normalizeNotification } from '../services/notificationStatus.js';
+import sendQueue from '../services/sendQueue.js';
+import sendJobs from '../stores/sendJobs.js';
+
+const statusUrl = (job) => `/api/jobs/${job.id}`;
+
+// Answer a send queued with `async: true`
+export function sendAccepted(res, job, message) {
+    res.status(202).location(statusUrl(job)).json({
+        message,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: statusUrl(job),
+        success: true
+    });
+}
+
+// A client only sees and retries the jobs it queued
+const ownJob = (req) => {
+    const job = sendJobs.get(req.params.id);
+    return job && job.caller === req.client.id ? job : null;
+};
+
+const notFound = (res, id) => res.status(404).json({
+    error: 'Job not found',
+    message: `No send job with id: ${id}`,
+    success: false
+});
+
+// Async send queue jobs, with delivery progress from the channel provider
+export default function jobRoutes(provider) {
+    const router = express.Router();
+
+    // List jobs, newest first
+    router.get('/', requireScope('jobs:read'), validate(listJobsSchema, 'query'), (req, res) => {
+        const { status, channel } = req.query;
+
+        res.json({
+            jobs: sendJobs.list({ status, channel, caller: req.client.id }),
+            success: true
+        });
+    });
+
+    // Jobs that failed permanently or ran out of attempts
+    router.get('/dead-letter', requireScope('jobs:read'), validate(listJobsSchema, 'query'), (req, res) => {
+        res.json({
+            jobs: sendJobs.list({ status: 'dead', channel: req.query.channel, caller: req.client.id }),
+            success: true
+        });
+    });
+
+    // One job; once sent, `delivery` has OneSignal's progress for the notification
+    router.get('/:id', requireScope('jobs:read'), async (req, res) => {
+        const job = ownJob(req);
+        if (!job) {
+            return notFound(res, req.params.id);
+        }
+
+        let delivery = null;
+        if (job.notificationId) {
+            try {
+                delivery = normalizeNotification(await provider.getNotification(job.notificationId), job.channel);
+            } catch (error) {
+                // The job's own result still answers; delivery progress is best effort
+                logger.warn('Delivery status lookup failed', { jobId: job.id, notificationId: job.notificationId, error });
+            }
+        }
+
+        res.json({
+            job,
+            delivery,
+            success: true
+        });
+    });
+
+    // Put a dead job back on the queue
+    router.post('/:id/retry', requireScope('jobs:write'), async (req, res) => {
+        const existing = ownJob(req);
+        if (!existing) {
+            return notFound(res, req.params.id);
+        }
+
+        if (existing.status !== 'dead') {
+            return res.status(409).json({
+                error: 'Job is not dead',
+                message: `Job ${existing.id} is ${existing.status}; only dead jobs can be retried`,
+                success: false
+            });
+        }
+
+        try {
+            const job = await sendQueue.retry(existing.id);
+
+            res.status(202).json({
+                message: 'Job queued again',
+                job,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to retry job');
+        }
+    });
+
+    return router;
+}
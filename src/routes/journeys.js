@@ -1,120 +1,398 @@
 import express from 'express';
-import OneSignalService from '../services/onesignal.js';
-
-const router = express.Router();
-const oneSignal = new OneSignalService();
-
-// Health check
-router.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        service: 'journeys',
-        provider: 'onesignal',
-        timestamp: new Date().toISOString()
-    });
+import { validate } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import {
+    createUserSchema,
+    dryRunSchema,
+    enrollmentQuerySchema,
+    exitJourneySchema,
+    journeyRunQuerySchema,
+    startJourneyRunSchema,
+    triggerEventSchema,
+    triggerJourneySchema
+} from '../schemas/journeys.js';
+import { serviceHealth } from './health.js';
+import { dryRun, getJourneyDefinition, journeyDefinitions } from '../services/journeyDefinitions.js';
+import journeyEngine from '../services/journeyEngine.js';
+import { enrollByEvent, enrollByTag, exitJourney } from '../services/journeys.js';
+import logger from '../services/logger.js';
+import enrollments from '../stores/enrollments.js';
+import runs from '../stores/journeyRuns.js';
+
+// The users a request targets: `externalIds` for bulk requests, plus `externalId`
+const targetIds = ({ externalId, externalIds = [] }) => [...new Set([...externalIds, ...(externalId ? [externalId] : [])])];
+
+const definitionNotFound = (res, id) => res.status(404).json({
+    error: 'Journey not found',
+    message: `No local journey with id: ${id}`,
+    success: false
+});
+
+// A client only sees and controls the runs it started
+const ownRun = (req) => {
+    const run = runs.get(req.params.id);
+    return run && run.caller === req.client.id ? run : null;
+};
+
+const runNotFound = (res, id) => res.status(404).json({
+    error: 'Journey run not found',
+    message: `No journey run with id: ${id}`,
+    success: false
 });
 
-// Test OneSignal API connectivity
-router.get('/test-connection', async (req, res) => {
-    try {
-        console.log('🧪 Testing OneSignal API connection...');
+// Journey routes, sending through the injected channel provider
+export default function journeyRoutes(provider) {
+    const router = express.Router();
+
+    // Readiness of the provider, stores and scheduler behind these routes
+    router.get('/health', serviceHealth(provider, 'journeys'));
+
+    // Test OneSignal API connectivity
+    router.get('/test-connection', requireScope('journeys:read'), async (req, res) => {
+        try {
+            const result = await provider.testConnection();
+
+            if (result.success) {
+                res.json({
+                    message: 'OneSignal API connection successful',
+                    url: result.url,
+                    app_name: result.app.name,
+                    success: true
+                });
+            } else {
+                res.status(502).json({
+                    error: 'OneSignal API connection failed',
+                    code: result.code,
+                    message: result.error,
+                    suggestion: result.suggestion,
+                    success: false
+                });
+            }
+
+        } catch (error) {
+            sendError(res, error, 'Failed to test OneSignal connection');
+        }
+    });
 
-        const result = await oneSignal.testConnection();
+    // Create user for Journey testing
+    router.post('/create-user', requireScope('journeys:write'), validate(createUserSchema), async (req, res) => {
+        try {
+            const { externalId, email, phoneNumber, firstName, companyName } = req.body;
+
+            logger.info('Creating user', { externalId });
+
+            const result = await provider.createUser({
+                externalId,
+                email,
+                phoneNumber,
+                firstName,
+                companyName
+            });
 
-        if (result.success) {
             res.json({
-                message: 'OneSignal API connection successful',
-                url: result.url,
-                app_name: result.app.name,
+                message: 'User created successfully',
+                externalId,
+                email,
+                phoneNumber,
+                user: result,
                 success: true
             });
-        } else {
-            res.status(500).json({
-                error: 'OneSignal API connection failed',
-                message: result.error,
-                suggestion: result.suggestion,
-                success: false
+
+        } catch (error) {
+            sendError(res, error, 'Failed to create user');
+        }
+    });
+
+    // Trigger Journey by adding users to segment; one externalId or many externalIds
+    router.post('/trigger-journey', requireScope('journeys:write'), validate(triggerJourneySchema), async (req, res) => {
+        try {
+            const { segmentTag = "new_users", segmentValue = "true", reenter = false } = req.body;
+            const journey = req.body.journey || segmentTag;
+            const externalIds = targetIds(req.body);
+
+            logger.info('Triggering journey', { journey, users: externalIds.length });
+
+            const report = await enrollByTag(provider, externalIds, {
+                journey,
+                tag: segmentTag,
+                value: segmentValue,
+                reenter,
+                caller: req.client.id
             });
+
+            if (req.body.externalIds) {
+                const { enrolled, alreadyEnrolled, failed } = report.summary;
+                return res.json({
+                    message: `Journey triggered: ${enrolled} enrolled, ${alreadyEnrolled} already enrolled, ${failed} failed`,
+                    journey,
+                    segmentTag,
+                    segmentValue,
+                    ...report,
+                    success: failed === 0
+                });
+            }
+
+            const [result] = report.results;
+
+            if (result.status === 'already_enrolled') {
+                return res.status(409).json({
+                    error: 'Already enrolled',
+                    message: `User ${result.externalId} is already enrolled in journey ${journey}; pass reenter: true to trigger it again`,
+                    enrollment: result.enrollment,
+                    success: false
+                });
+            }
+
+            if (result.status === 'failed') {
+                return sendError(res, result.cause, 'Failed to trigger journey');
+            }
+
+            res.json({
+                message: 'Journey triggered - user added to segment',
+                externalId: result.externalId,
+                segmentTag,
+                segmentValue,
+                enrollment: result.enrollment,
+                note: 'Journey will execute automatically based on your OneSignal Journey setup',
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to trigger journey');
         }
+    });
 
-    } catch (error) {
-        console.error('Connection test error:', error.message);
-        res.status(500).json({
-            error: 'Failed to test OneSignal connection',
-            message: error.message,
-            success: false
-        });
-    }
-});
+    // Trigger Journeys with a custom event, e.g. cart_abandoned with the cart's items
+    router.post('/trigger-event', requireScope('journeys:write'), validate(triggerEventSchema), async (req, res) => {
+        try {
+            const { name, properties = {} } = req.body;
+            const journey = req.body.journey || name;
+            const externalIds = targetIds(req.body);
+
+            logger.info('Sending journey event', { journey, event: name, users: externalIds.length });
+
+            const report = await enrollByEvent(provider, externalIds, {
+                journey,
+                name,
+                properties,
+                caller: req.client.id
+            });
+
+            res.json({
+                message: `Event ${name} sent: ${report.summary.enrolled} enrolled, ${report.summary.failed} failed`,
+                journey,
+                ...report,
+                success: report.summary.failed === 0
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to send journey event');
+        }
+    });
+
+    // Take users out of a journey, removing every tag that triggered it
+    router.post('/exit', requireScope('journeys:write'), validate(exitJourneySchema), async (req, res) => {
+        try {
+            const { journey } = req.body;
+            const externalIds = targetIds(req.body);
+
+            logger.info('Exiting journey', { journey, users: externalIds.length });
 
-// Create user for Journey testing
-router.post('/create-user', async (req, res) => {
-    try {
-        const { externalId, email, firstName, companyName } = req.body;
+            const report = await exitJourney(provider, externalIds, { journey });
+            const { exited, notEnrolled, failed } = report.summary;
 
-        if (!externalId || !email || !firstName) {
-            return res.status(400).json({
-                error: 'externalId, email, and firstName are required'
+            res.json({
+                message: `Journey exit processed: ${exited} exited, ${notEnrolled} not enrolled, ${failed} failed`,
+                journey,
+                ...report,
+                success: failed === 0
             });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to exit journey');
         }
+    });
 
-        console.log(`👤 Creating user: ${externalId}`);
+    // List recorded enrollments, newest first
+    router.get('/enrollments', requireScope('journeys:read'), validate(enrollmentQuerySchema, 'query'), (req, res) => {
+        const { journey, externalId, status } = req.query;
 
-        const result = await oneSignal.createUser({
-            externalId,
-            email,
-            firstName,
-            companyName: companyName || 'Test Company'
+        res.json({
+            enrollments: enrollments.list({ journey, externalId, status, caller: req.client.id }),
+            success: true
         });
+    });
 
+    // List the local journey definitions loaded from JOURNEYS_DIR
+    router.get('/definitions', requireScope('journeys:read'), (req, res) => {
         res.json({
-            message: 'User created successfully',
-            externalId,
-            email,
-            user: result,
+            journeys: journeyDefinitions(),
             success: true
         });
+    });
+
+    // Get one local journey definition
+    router.get('/definitions/:id', requireScope('journeys:read'), (req, res) => {
+        const definition = getJourneyDefinition(req.params.id);
+        if (!definition) {
+            return definitionNotFound(res, req.params.id);
+        }
 
-    } catch (error) {
-        console.error('Create user error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to create user',
-            message: error.response?.data?.errors?.[0] || error.message
+        res.json({
+            journey: definition,
+            success: true
         });
-    }
-});
+    });
+
+    // The timeline a user would go through, without sending anything. With an externalId and no tags,
+    // branches see the user's current tags.
+    router.post('/definitions/:id/dry-run', requireScope('journeys:read'), validate(dryRunSchema), async (req, res) => {
+        try {
+            const definition = getJourneyDefinition(req.params.id);
+            if (!definition) {
+                return definitionNotFound(res, req.params.id);
+            }
 
-// Trigger Journey by adding user to segment
-router.post('/trigger-journey', async (req, res) => {
-    try {
-        const { externalId, segmentTag = "new_users", segmentValue = "true" } = req.body;
+            const { externalId, properties, engagement, startAt } = req.body;
+            let { tags } = req.body;
 
-        if (!externalId) {
-            return res.status(400).json({
-                error: 'externalId is required'
+            if (externalId && !tags) {
+                const user = await provider.getUser(externalId);
+                tags = user.properties?.tags || {};
+            }
+
+            res.json({
+                journey: definition.id,
+                externalId: externalId || null,
+                timeline: dryRun(definition, {
+                    externalId,
+                    tags,
+                    properties,
+                    engagement,
+                    startAt: startAt ? new Date(startAt) : new Date()
+                }),
+                success: true
             });
+
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `User not found: ${req.body.externalId}`,
+                    success: false
+                });
+            }
+            sendError(res, error, 'Failed to dry-run journey');
         }
+    });
+
+    // Start local journey runs; one externalId or many externalIds
+    router.post('/runs', requireScope('journeys:write'), validate(startJourneyRunSchema), async (req, res) => {
+        try {
+            const definition = getJourneyDefinition(req.body.journey);
+            if (!definition) {
+                return definitionNotFound(res, req.body.journey);
+            }
+
+            const report = await journeyEngine.enroll(definition, targetIds(req.body), {
+                properties: req.body.properties,
+                caller: req.client.id
+            });
 
-        console.log(`🚀 Triggering Journey for user: ${externalId}`);
+            if (req.body.externalIds) {
+                const { started, alreadyRunning } = report.summary;
+                return res.json({
+                    message: `Journey ${definition.id}: ${started} started, ${alreadyRunning} already running`,
+                    journey: definition.id,
+                    ...report,
+                    success: true
+                });
+            }
 
-        const result = await oneSignal.addUserToSegment(externalId, segmentTag, segmentValue);
+            const [result] = report.results;
+
+            if (result.status === 'already_running') {
+                return res.status(409).json({
+                    error: 'Already running',
+                    message: `User ${result.externalId} is already in journey ${definition.id}`,
+                    run: result.run,
+                    success: false
+                });
+            }
+
+            res.status(201).json({
+                message: 'Journey started',
+                run: result.run,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to start journey');
+        }
+    });
+
+    // List journey runs, newest first
+    router.get('/runs', requireScope('journeys:read'), validate(journeyRunQuerySchema, 'query'), (req, res) => {
+        const { journey, externalId, status } = req.query;
+
+        res.json({
+            runs: runs.list({ journey, externalId, status, caller: req.client.id }),
+            success: true
+        });
+    });
+
+    // Get one run with its step history
+    router.get('/runs/:id', requireScope('journeys:read'), (req, res) => {
+        const run = ownRun(req);
+        if (!run) {
+            return runNotFound(res, req.params.id);
+        }
 
         res.json({
-            message: 'Journey triggered - user added to segment',
-            externalId,
-            segmentTag,
-            segmentValue,
-            note: 'Journey will execute automatically based on your OneSignal Journey setup',
+            run,
             success: true
         });
+    });
+
+    // Pause, resume or cancel a run
+    const RUN_ACTIONS = {
+        pause: { from: 'active', done: 'paused' },
+        resume: { from: 'paused', done: 'resumed' },
+        cancel: { from: 'active or paused', done: 'cancelled' }
+    };
 
-    } catch (error) {
-        console.error('Trigger journey error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to trigger journey',
-            message: error.response?.data?.errors?.[0] || error.message
+    for (const [action, { from, done }] of Object.entries(RUN_ACTIONS)) {
+        router.post(`/runs/:id/${action}`, requireScope('journeys:write'), async (req, res) => {
+            try {
+                const { id } = req.params;
+                const existing = ownRun(req);
+                if (!existing) {
+                    return runNotFound(res, id);
+                }
+
+                const run = await journeyEngine[action](id);
+                if (!run) {
+                    return res.status(409).json({
+                        error: `Journey run cannot be ${done}`,
+                        message: `Run ${id} is ${existing.status}; only ${from} runs can be ${done}`,
+                        success: false
+                    });
+                }
+
+                logger.info(`Journey run ${done}`, { runId: id });
+
+                res.json({
+                    message: `Journey run ${done}`,
+                    run,
+                    success: true
+                });
+
+            } catch (error) {
+                sendError(res, error, `Failed to ${action} journey run`);
+            }
         });
     }
-});
 
-export default router;
\ No newline at end of file
+    return router;
+}
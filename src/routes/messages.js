@@ -0,0 +1,94 @@
+import 'dotenv/config';
+import express from 'express';
+import { validate } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { messageSchema } from '../schemas/messages.js';
+import orchestrator, { CHANNELS } from '../services/orchestrator.js';
+import logger from '../services/logger.js';
+import messages from '../stores/messages.js';
+
+const router = express.Router();
+
+// Send one message on the user's first available channel, with optional fallback
+router.post('/', requireScope('messages:send'), validate(messageSchema), idempotency(), async (req, res) => {
+    try {
+        const {
+            userId,
+            channels = CHANNELS,
+            title,
+            body,
+            subject,
+            html,
+            data,
+            language,
+            campaign,
+            category,
+            bypassPreferences,
+            fallbackAfterSeconds
+        } = req.body;
+
+        logger.info('Sending message', { userId, channels });
+
+        const delivery = await orchestrator.send({
+            userId,
+            channels,
+            content: { title, body, subject, html, data, language },
+            fallbackAfterSeconds,
+            campaign,
+            category,
+            bypassPreferences,
+            caller: req.client.id
+        });
+
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: `No user with external id: ${userId}`,
+                success: false
+            });
+        }
+
+        if (delivery.status === 'failed') {
+            return res.status(422).json({
+                error: 'No channel available',
+                message: `Could not send on any of: ${channels.join(', ')}`,
+                delivery,
+                success: false
+            });
+        }
+
+        res.json({
+            message: `Message sent via ${delivery.channel}`,
+            delivery,
+            success: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to send message');
+    }
+});
+
+// Get a message with its per-channel attempts
+router.get('/:id', requireScope('messages:read'), (req, res) => {
+    const delivery = messages.get(req.params.id);
+    // A client only sees the messages it sent
+    if (!delivery || delivery.caller !== req.client.id) {
+        return res.status(404).json({
+            error: 'Message not found',
+            message: `No message with id: ${req.params.id}`,
+            success: false
+        });
+    }
+
+    res.json({
+        delivery: {
+            ...delivery,
+            deliveryRecorded: Boolean(delivery.notificationId) && orchestrator.wasReached(delivery.notificationId)
+        },
+        success: true
+    });
+});
+
+export default router;
@@ -1,211 +1,328 @@
-
 import 'dotenv/config';
 import express from 'express';
-import OneSignalService from '../services/onesignal.js';
-
-const router = express.Router();
-const oneSignal = new OneSignalService();
-
-// Health check
-router.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        service: 'notifications',
-        provider: 'onesignal',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// Send immediate push notification
-router.post('/push', async (req, res) => {
-    try {
-        const { userId, title, body, data, segment } = req.body;
-
-        // Validation
-        if (!title || !body) {
-            return res.status(400).json({
-                error: 'Missing required fields: title, body'
+import { validate } from '../middleware/validation.js';
+import { requireScope, requireSegmentScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { applyTemplate, loadTemplate } from '../middleware/templates.js';
+import { deferralFields, enforcePreferences } from '../middleware/preferences.js';
+import {
+    delayedPushSchema,
+    pushBatchSchema,
+    pushHistorySchema,
+    pushSchema,
+    segmentPushSchema
+} from '../schemas/notifications.js';
+import { serviceHealth } from './health.js';
+import { sendAccepted } from './jobs.js';
+import { sendBatch } from '../services/batch.js';
+import { suppressedResponse } from '../services/frequency.js';
+import { checkPreferences } from '../services/preferences.js';
+import { pushOptions } from '../services/push.js';
+import scheduler from '../services/scheduler.js';
+import sendQueue from '../services/sendQueue.js';
+import { cancelSend, getStatus, listPending } from '../services/notificationStatus.js';
+import { TemplateSyntaxError } from '../services/templateEngine.js';
+import logger from '../services/logger.js';
+import outbox from '../stores/outbox.js';
+
+// Push routes, sending through the injected channel provider
+export default function notificationRoutes(provider) {
+    const router = express.Router();
+
+    // Readiness of the provider, stores and scheduler behind these routes
+    router.get('/health', serviceHealth(provider, 'notifications'));
+
+    // Send immediate push notification
+    router.post('/push', requireScope('push:send'), validate(pushSchema), requireSegmentScope('push'), idempotency(), applyTemplate('push'), enforcePreferences('push'), async (req, res) => {
+        try {
+            const { userId, title, body, data, segment } = req.body;
+            const { deferral } = req;
+            const notification = { userId, title, body, data: data || {}, segment, options: pushOptions(req.body) };
+            const context = {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            };
+
+            logger.info('Sending push notification', { userId, segment });
+
+            // Quiet hours turn an immediate send into one scheduled for when they end
+            const result = deferral
+                ? await provider.sendDelayedPushNotification({ ...notification, sendAt: deferral.until }, context)
+                : await provider.sendPushNotification(notification, context);
+
+            if (result.suppressed) {
+                return res.json(suppressedResponse('Push notification', result));
+            }
+
+            res.json({
+                message: deferral ? `Push notification deferred until ${deferral.until}` : 'Push notification sent successfully',
+                notificationId: result.id,
+                recipients: result.recipients,
+                ...deferralFields(deferral),
+                success: true
             });
-        }
 
-        if (!userId && !segment) {
-            return res.status(400).json({
-                error: 'Either userId or segment must be provided'
-            });
+        } catch (error) {
+            sendError(res, error, 'Failed to send push notification');
         }
+    });
 
-        console.log(`📱 Sending immediate push to ${userId || segment}`);
-
-        const result = await oneSignal.sendPushNotification({
-            userId,
-            title,
-            body,
-            data: data || {},
-            segment
-        });
-
-        res.json({
-            message: 'Push notification sent successfully',
-            notificationId: result.id,
-            recipients: result.recipients,
-            success: true
-        });
-
-    } catch (error) {
-        console.error('Push notification error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to send push notification',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
-
-// Send delayed push notification
-router.post('/push/delayed', async (req, res) => {
-    try {
-        const {
-            userId,
-            title,
-            body,
-            data,
-            segment,
-            delayAmount = 30,
-            delayUnit = 'seconds'
-        } = req.body;
-
-        // Validation
-        if (!title || !body) {
-            return res.status(400).json({
-                error: 'Missing required fields: title, body'
+    // Send delayed push notification
+    router.post('/push/delayed', requireScope('push:send'), validate(delayedPushSchema), requireSegmentScope('push'), idempotency(), applyTemplate('push'), enforcePreferences('push', { delayed: true }), async (req, res) => {
+        try {
+            const {
+                userId,
+                title,
+                body,
+                data,
+                segment,
+                delayAmount = 30,
+                delayUnit = 'seconds'
+            } = req.body;
+            const { deferral } = req;
+            // A send that would land in quiet hours goes out when they end instead
+            const sendAt = deferral ? deferral.until : req.body.sendAt;
+
+            const runAt = sendAt
+                ? new Date(sendAt)
+                : delayUnit !== 'timezone' && new Date(Date.now() + provider.convertToSeconds(delayAmount, delayUnit) * 1000);
+
+            // Sends beyond OneSignal's scheduling window are held by the local scheduler instead
+            if (runAt && scheduler.isBeyondOneSignalWindow(runAt)) {
+                logger.info('Scheduling push notification locally', { userId, segment, runAt: runAt.toISOString() });
+
+                const job = await scheduler.schedule({
+                    channel: 'push',
+                    params: {
+                        userId,
+                        segment,
+                        title,
+                        body,
+                        data: data || {},
+                        options: pushOptions(req.body),
+                        campaign: req.body.campaign,
+                        category: req.body.category,
+                        bypassPreferences: req.body.bypassPreferences
+                    },
+                    runAt,
+                    caller: req.client.id
+                });
+
+                return res.json({
+                    message: `Push notification scheduled for ${job.runAt}`,
+                    scheduleId: job.id,
+                    scheduledFor: job.runAt,
+                    scheduledBy: 'local',
+                    ...deferralFields(deferral),
+                    success: true
+                });
+            }
+
+            logger.info('Scheduling push notification', { userId, segment, sendAt, delayAmount, delayUnit });
+
+            const result = await provider.sendDelayedPushNotification({
+                userId,
+                title,
+                body,
+                data: data || {},
+                segment,
+                options: pushOptions(req.body),
+                delayAmount,
+                delayUnit,
+                sendAt
+            }, {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
             });
-        }
 
-        if (!userId && !segment) {
-            return res.status(400).json({
-                error: 'Either userId or segment must be provided'
+            if (result.suppressed) {
+                return res.json(suppressedResponse('Push notification', result));
+            }
+
+            const delayText = sendAt
+                ? `for ${runAt.toISOString()}`
+                : delayUnit === 'timezone' ? `at ${delayAmount}` : `in ${delayAmount} ${delayUnit}`;
+
+            res.json({
+                message: `Push notification scheduled ${delayText}`,
+                notificationId: result.id,
+                recipients: result.recipients,
+                scheduledFor: runAt ? runAt.toISOString() : `${delayAmount} in user's timezone`,
+                scheduledBy: 'onesignal',
+                ...deferralFields(deferral),
+                success: true
             });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to schedule push notification');
         }
+    });
 
-        if (!oneSignal.isValidDelayUnit(delayUnit)) {
-            return res.status(400).json({
-                error: 'Invalid delay unit. Must be one of: seconds, minutes, hours, days, timezone'
+    // Send push to segment
+    router.post('/push/segment', requireScope('push:segment'), validate(segmentPushSchema), idempotency(), applyTemplate('push'), async (req, res) => {
+        try {
+            const { segment, title, body, data } = req.body;
+            const notification = { title, body, data: data || {}, segment, options: pushOptions(req.body) };
+            const context = {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            };
+
+            if (req.body.async) {
+                const job = await sendQueue.enqueue({ channel: 'push', action: 'sendPushNotification', params: notification, context });
+                return sendAccepted(res, job, `Push notification to segment ${segment} queued`);
+            }
+
+            logger.info('Sending push notification to segment', { segment });
+
+            const result = await provider.sendPushNotification(notification, context);
+
+            res.json({
+                message: `Push notification sent to segment: ${segment}`,
+                notificationId: result.id,
+                recipients: result.recipients,
+                success: true
             });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to send push notification to segment');
         }
+    });
 
-        console.log(`📱⏰ Scheduling push for ${userId || segment} - ${delayAmount} ${delayUnit}`);
+    // Send personalized push notifications to many users
+    router.post('/batch', requireScope('push:send'), validate(pushBatchSchema), idempotency(), loadTemplate('push'), async (req, res) => {
+        try {
+            const { title, body, data, variables, recipients, category, bypassPreferences } = req.body;
+            const template = req.template;
+
+            logger.info('Sending batch push notification', { recipients: recipients.length });
+
+            const report = await sendBatch(provider, {
+                channel: 'push',
+                recipients,
+                content: {
+                    title: title ?? template?.title,
+                    body: body ?? template?.body
+                },
+                variables: { ...template?.defaults, ...variables },
+                data: data || {},
+                options: pushOptions(req.body),
+                screen: (recipient) => checkPreferences({ userId: recipient.userId }, {
+                    channel: 'push',
+                    category,
+                    bypass: bypassPreferences
+                })
+            }, {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            });
 
-        const result = await oneSignal.sendDelayedPushNotification({
-            userId,
-            title,
-            body,
-            data: data || {},
-            segment,
-            delayAmount,
-            delayUnit
-        });
+            const { sent, rejected, failed } = report.summary;
 
-        const delayText = delayUnit === 'timezone'
-            ? `at ${delayAmount}`
-            : `in ${delayAmount} ${delayUnit}`;
+            res.json({
+                message: `Batch push processed: ${sent} sent, ${rejected} rejected, ${failed} failed`,
+                ...report,
+                success: failed === 0
+            });
 
-        res.json({
-            message: `Push notification scheduled ${delayText}`,
-            notificationId: result.id,
-            recipients: result.recipients,
-            scheduledFor: delayUnit !== 'timezone' ?
-                new Date(Date.now() + oneSignal.convertToSeconds(delayAmount, delayUnit) * 1000).toISOString() :
-                `${delayAmount} in user's timezone`,
-            success: true
-        });
+        } catch (error) {
+            if (error instanceof TemplateSyntaxError) {
+                return sendError(res, error, 'Invalid template');
+            }
 
-    } catch (error) {
-        console.error('Delayed push notification error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to schedule push notification',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
-
-// Send push to segment
-router.post('/push/segment', async (req, res) => {
-    try {
-        const { segment, title, body, data } = req.body;
-
-        // Validation
-        if (!segment || !title || !body) {
-            return res.status(400).json({
-                error: 'Missing required fields: segment, title, body'
-            });
+            sendError(res, error, 'Failed to send batch push notification');
         }
+    });
 
-        console.log(`📱👥 Sending push to segment: ${segment}`);
+    // List push notifications sent through this service
+    router.get('/history', requireScope('push:read'), validate(pushHistorySchema, 'query'), (req, res) => {
+        const { userId, segment, from, to, cursor, limit } = req.query;
 
-        const result = await oneSignal.sendPushNotification({
-            title,
-            body,
-            data: data || {},
-            segment
+        const { items, nextCursor } = outbox.query({
+            channel: 'push',
+            userId,
+            segment,
+            from,
+            to,
+            caller: req.client.id,
+            cursor,
+            limit
         });
 
         res.json({
-            message: `Push notification sent to segment: ${segment}`,
-            notificationId: result.id,
-            recipients: result.recipients,
+            notifications: items,
+            nextCursor,
             success: true
         });
+    });
 
-    } catch (error) {
-        console.error('Segment push notification error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to send push notification to segment',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
-
-// Get notification status
-router.get('/push/:notificationId', async (req, res) => {
-    try {
-        const { notificationId } = req.params;
-
-        const result = await oneSignal.getNotification(notificationId);
-
+    // List this client's push notifications that are scheduled but not sent yet
+    router.get('/push/scheduled', requireScope('push:read'), (req, res) => {
         res.json({
-            message: 'Notification details retrieved',
-            notification: result,
+            scheduled: listPending('push', req.client.id),
             success: true
         });
+    });
 
-    } catch (error) {
-        console.error('Get notification error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to get notification details',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
-
-// Cancel scheduled notification
-router.delete('/push/:notificationId', async (req, res) => {
-    try {
-        const { notificationId } = req.params;
+    // Get notification status (OneSignal notification id or local schedule id)
+    router.get('/push/:notificationId', requireScope('push:read'), async (req, res) => {
+        try {
+            const { notificationId } = req.params;
+
+            const status = await getStatus(provider, notificationId, 'push', req.client.id);
+            if (!status) {
+                return res.status(404).json({
+                    error: 'Notification not found',
+                    message: `No push notification with id: ${notificationId}`,
+                    success: false
+                });
+            }
+
+            res.json({
+                message: 'Notification details retrieved',
+                notification: status,
+                success: true
+            });
 
-        const result = await oneSignal.cancelNotification(notificationId);
+        } catch (error) {
+            sendError(res, error, 'Failed to get notification details');
+        }
+    });
 
-        res.json({
-            message: 'Notification cancelled successfully',
-            notificationId,
-            success: true
-        });
+    // Cancel scheduled notification (OneSignal notification id or local schedule id)
+    router.delete('/push/:notificationId', requireScope('push:cancel'), async (req, res) => {
+        try {
+            const { notificationId } = req.params;
+
+            const status = await cancelSend(provider, notificationId, 'push', req.client.id);
+            if (!status) {
+                return res.status(404).json({
+                    error: 'Notification not found',
+                    message: `No pending push notification with id: ${notificationId}`,
+                    success: false
+                });
+            }
+
+            res.json({
+                message: 'Notification cancelled successfully',
+                notificationId,
+                notification: status,
+                success: true
+            });
 
-    } catch (error) {
-        console.error('Cancel notification error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to cancel notification',
-            message: error.response?.data?.errors?.[0] || error.message
-        });
-    }
-});
+        } catch (error) {
+            sendError(res, error, 'Failed to cancel notification');
+        }
+    });
 
-export default router;
\ No newline at end of file
+    return router;
+}
@@ -0,0 +1,145 @@
+import 'dotenv/config';
+import express from 'express';
+import { validate } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { applyTemplate } from '../middleware/templates.js';
+import { createScheduleSchema, listSchedulesSchema, rescheduleSchema } from '../schemas/schedules.js';
+import { pushOptions } from '../services/push.js';
+import scheduler from '../services/scheduler.js';
+import jobs from '../stores/scheduledJobs.js';
+
+const router = express.Router();
+
+const PARAM_FIELDS = {
+    push: ['userId', 'segment', 'title', 'body', 'data', 'campaign', 'category', 'bypassPreferences'],
+    email: ['email', 'userId', 'segment', 'subject', 'body', 'language', 'customData', 'campaign', 'category', 'bypassPreferences'],
+    sms: ['phoneNumber', 'segment', 'body', 'campaign', 'category', 'bypassPreferences']
+};
+
+// The send parameters a job stores for its channel; pushes keep their rich options as the provider takes them
+const jobParams = (channel, body) => ({
+    ...Object.fromEntries(
+        PARAM_FIELDS[channel].filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+    ),
+    ...(channel === 'push' ? { options: pushOptions(body) } : {})
+});
+
+// A client only sees and changes the schedules it created
+const ownJob = (req) => {
+    const job = jobs.get(req.params.id);
+    return job && job.caller === req.client.id ? job : null;
+};
+
+const notFound = (res, id) => res.status(404).json({
+    error: 'Schedule not found',
+    message: `No pending schedule with id: ${id}`,
+    success: false
+});
+
+// List scheduled sends
+router.get('/', requireScope('schedules:read'), validate(listSchedulesSchema, 'query'), (req, res) => {
+    const { status, channel } = req.query;
+
+    res.json({
+        schedules: jobs.list({ status, channel, caller: req.client.id }),
+        success: true
+    });
+});
+
+// Get one scheduled send with its run history
+router.get('/:id', requireScope('schedules:read'), (req, res) => {
+    const job = ownJob(req);
+    if (!job) {
+        return notFound(res, req.params.id);
+    }
+
+    res.json({
+        schedule: job,
+        success: true
+    });
+});
+
+// Schedule a one-off (sendAt) or recurring (cron) send
+router.post(
+    '/',
+    requireScope('schedules:write'),
+    validate(createScheduleSchema),
+    // Scheduling to a segment needs the same scope as sending to one
+    requireScope((req) => (req.body.segment ? `${req.body.channel}:segment` : null)),
+    idempotency(),
+    (req, res, next) => applyTemplate(req.body.channel)(req, res, next),
+    async (req, res) => {
+        try {
+            const { channel, sendAt, cron, timezone } = req.body;
+
+            const job = await scheduler.schedule({
+                channel,
+                params: jobParams(channel, req.body),
+                runAt: sendAt,
+                cron,
+                timezone,
+                caller: req.client.id
+            });
+
+            res.status(201).json({
+                message: cron ? `Recurring ${channel} send scheduled` : `${channel} send scheduled for ${job.runAt}`,
+                schedule: job,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to create schedule');
+        }
+    }
+);
+
+// Move a pending send to a new time or recurrence
+router.patch('/:id', requireScope('schedules:write'), validate(rescheduleSchema), async (req, res) => {
+    try {
+        const { sendAt, cron, timezone } = req.body;
+        if (!ownJob(req)) {
+            return notFound(res, req.params.id);
+        }
+
+        const job = await scheduler.reschedule(req.params.id, { runAt: sendAt, cron, timezone });
+        if (!job) {
+            return notFound(res, req.params.id);
+        }
+
+        res.json({
+            message: `Schedule moved to ${job.runAt}`,
+            schedule: job,
+            success: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to reschedule');
+    }
+});
+
+// Cancel a pending send
+router.delete('/:id', requireScope('schedules:write'), async (req, res) => {
+    try {
+        if (!ownJob(req)) {
+            return notFound(res, req.params.id);
+        }
+
+        const job = await scheduler.cancel(req.params.id);
+        if (!job) {
+            return notFound(res, req.params.id);
+        }
+
+        res.json({
+            message: 'Schedule cancelled successfully',
+            schedule: job,
+            success: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel schedule');
+    }
+});
+
+export default router;
@@ -0,0 +1,268 @@
+import 'dotenv/config';
+import express from 'express';
+import { validate } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { applyTemplate } from '../middleware/templates.js';
+import { deferralFields, enforcePreferences } from '../middleware/preferences.js';
+import {
+    delayedSmsSchema,
+    renderedSmsSchema,
+    segmentSmsSchema,
+    smsHistorySchema,
+    smsSchema
+} from '../schemas/sms.js';
+import { serviceHealth } from './health.js';
+import { sendAccepted } from './jobs.js';
+import { suppressedResponse } from '../services/frequency.js';
+import scheduler from '../services/scheduler.js';
+import sendQueue from '../services/sendQueue.js';
+import { cancelSend, getStatus, listPending } from '../services/notificationStatus.js';
+import logger from '../services/logger.js';
+import outbox from '../stores/outbox.js';
+
+// SMS routes, sending through the injected channel provider
+export default function smsRoutes(provider) {
+    const router = express.Router();
+
+    // Readiness of the provider, stores and scheduler behind these routes
+    router.get('/health', serviceHealth(provider, 'sms'));
+
+    // Send immediate SMS
+    router.post('/send', requireScope('sms:send'), validate(smsSchema), idempotency(), applyTemplate('sms'), validate(renderedSmsSchema), enforcePreferences('sms'), async (req, res) => {
+        try {
+            const { phoneNumber, body } = req.body;
+            const { deferral } = req;
+            const context = {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            };
+
+            logger.info('Sending SMS', { phoneNumber });
+
+            // Quiet hours turn an immediate send into one scheduled for when they end
+            const result = deferral
+                ? await provider.sendDelayedSms({ phoneNumber, body, sendAt: deferral.until }, context)
+                : await provider.sendSms({ phoneNumber, body }, context);
+
+            if (result.suppressed) {
+                return res.json({ ...suppressedResponse('SMS', result), phoneNumber });
+            }
+
+            res.json({
+                message: deferral ? `SMS deferred until ${deferral.until}` : 'SMS sent successfully',
+                phoneNumber,
+                notificationId: result.id,
+                recipients: result.recipients,
+                ...deferralFields(deferral),
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to send SMS');
+        }
+    });
+
+    // Send delayed SMS
+    router.post('/send/delayed', requireScope('sms:send'), validate(delayedSmsSchema), idempotency(), applyTemplate('sms'), validate(renderedSmsSchema), enforcePreferences('sms', { delayed: true }), async (req, res) => {
+        try {
+            const {
+                phoneNumber,
+                body,
+                delayAmount = 30,
+                delayUnit = 'seconds'
+            } = req.body;
+            const { deferral } = req;
+            // A send that would land in quiet hours goes out when they end instead
+            const sendAt = deferral ? deferral.until : req.body.sendAt;
+
+            const runAt = sendAt
+                ? new Date(sendAt)
+                : delayUnit !== 'timezone' && new Date(Date.now() + provider.convertToSeconds(delayAmount, delayUnit) * 1000);
+
+            // Sends beyond OneSignal's scheduling window are held by the local scheduler instead
+            if (runAt && scheduler.isBeyondOneSignalWindow(runAt)) {
+                logger.info('Scheduling SMS locally', { phoneNumber, runAt: runAt.toISOString() });
+
+                const job = await scheduler.schedule({
+                    channel: 'sms',
+                    params: {
+                        phoneNumber,
+                        body,
+                        campaign: req.body.campaign,
+                        category: req.body.category,
+                        bypassPreferences: req.body.bypassPreferences
+                    },
+                    runAt,
+                    caller: req.client.id
+                });
+
+                return res.json({
+                    message: `SMS scheduled for ${job.runAt}`,
+                    phoneNumber,
+                    scheduleId: job.id,
+                    scheduledFor: job.runAt,
+                    scheduledBy: 'local',
+                    ...deferralFields(deferral),
+                    success: true
+                });
+            }
+
+            logger.info('Scheduling SMS', { phoneNumber, sendAt, delayAmount, delayUnit });
+
+            const result = await provider.sendDelayedSms({
+                phoneNumber,
+                body,
+                delayAmount,
+                delayUnit,
+                sendAt
+            }, {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            });
+
+            if (result.suppressed) {
+                return res.json({ ...suppressedResponse('SMS', result), phoneNumber });
+            }
+
+            const delayText = sendAt
+                ? `for ${runAt.toISOString()}`
+                : delayUnit === 'timezone' ? `at ${delayAmount}` : `in ${delayAmount} ${delayUnit}`;
+
+            res.json({
+                message: `SMS scheduled ${delayText}`,
+                phoneNumber,
+                notificationId: result.id,
+                recipients: result.recipients,
+                scheduledFor: runAt ? runAt.toISOString() : `${delayAmount} in user's timezone`,
+                scheduledBy: 'onesignal',
+                ...deferralFields(deferral),
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to schedule SMS');
+        }
+    });
+
+    // Send SMS to segment
+    router.post('/send/segment', requireScope('sms:segment'), validate(segmentSmsSchema), idempotency(), applyTemplate('sms'), validate(renderedSmsSchema), async (req, res) => {
+        try {
+            const { segment, body } = req.body;
+            const context = {
+                caller: req.client.id,
+                idempotencyKey: req.idempotencyKey,
+                campaign: req.body.campaign,
+                category: req.body.category
+            };
+
+            if (req.body.async) {
+                const job = await sendQueue.enqueue({ channel: 'sms', action: 'sendSmsToSegment', params: { segment, body }, context });
+                return sendAccepted(res, job, `SMS to segment ${segment} queued`);
+            }
+
+            logger.info('Sending SMS to segment', { segment });
+
+            const result = await provider.sendSmsToSegment({ segment, body }, context);
+
+            res.json({
+                message: `SMS sent to segment: ${segment}`,
+                notificationId: result.id,
+                recipients: result.recipients,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to send SMS to segment');
+        }
+    });
+
+    // List this client's SMS that are scheduled but not sent yet
+    router.get('/send/scheduled', requireScope('sms:read'), (req, res) => {
+        res.json({
+            scheduled: listPending('sms', req.client.id),
+            success: true
+        });
+    });
+
+    // Get SMS status (OneSignal notification id or local schedule id)
+    router.get('/send/:notificationId', requireScope('sms:read'), async (req, res) => {
+        try {
+            const { notificationId } = req.params;
+
+            const status = await getStatus(provider, notificationId, 'sms', req.client.id);
+            if (!status) {
+                return res.status(404).json({
+                    error: 'SMS not found',
+                    message: `No SMS with id: ${notificationId}`,
+                    success: false
+                });
+            }
+
+            res.json({
+                message: 'SMS details retrieved',
+                notification: status,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to get SMS details');
+        }
+    });
+
+    // Cancel scheduled SMS (OneSignal notification id or local schedule id)
+    router.delete('/send/:notificationId', requireScope('sms:cancel'), async (req, res) => {
+        try {
+            const { notificationId } = req.params;
+
+            const status = await cancelSend(provider, notificationId, 'sms', req.client.id);
+            if (!status) {
+                return res.status(404).json({
+                    error: 'SMS not found',
+                    message: `No pending SMS with id: ${notificationId}`,
+                    success: false
+                });
+            }
+
+            res.json({
+                message: 'SMS cancelled successfully',
+                notificationId,
+                notification: status,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to cancel SMS');
+        }
+    });
+
+    // List SMS sent through this service
+    router.get('/history', requireScope('sms:read'), validate(smsHistorySchema, 'query'), (req, res) => {
+        const { userId, phoneNumber, segment, from, to, cursor, limit } = req.query;
+
+        const { items, nextCursor } = outbox.query({
+            channel: 'sms',
+            userId,
+            phoneNumber,
+            segment,
+            from,
+            to,
+            caller: req.client.id,
+            cursor,
+            limit
+        });
+
+        res.json({
+            messages: items,
+            nextCursor,
+            success: true
+        });
+    });
+
+    return router;
+}
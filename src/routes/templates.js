@@ -0,0 +1,136 @@
+import 'dotenv/config';
+import express from 'express';
+import { validate, validateSchema } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { createTemplateSchema, previewTemplateSchema, updateTemplateSchema } from '../schemas/templates.js';
+import { renderTemplate } from '../services/templateEngine.js';
+import logger from '../services/logger.js';
+import templates from '../stores/templates.js';
+
+const router = express.Router();
+
+const notFound = (res, id) => res.status(404).json({
+    error: 'Template not found',
+    message: `No template with id: ${id}`,
+    success: false
+});
+
+// List templates, optionally for one channel
+router.get('/', requireScope('templates:read'), (req, res) => {
+    const { channel } = req.query;
+
+    res.json({
+        templates: templates.list({ channel }),
+        success: true
+    });
+});
+
+// Get one template
+router.get('/:id', requireScope('templates:read'), (req, res) => {
+    const template = templates.get(req.params.id);
+    if (!template) {
+        return notFound(res, req.params.id);
+    }
+
+    res.json({
+        template,
+        success: true
+    });
+});
+
+// Create a template
+router.post('/', requireScope('templates:write'), validate(createTemplateSchema), async (req, res) => {
+    try {
+        const template = await templates.create(req.body);
+
+        if (!template) {
+            return res.status(409).json({
+                error: 'Template already exists',
+                message: `A template with id ${req.body.id} already exists`,
+                success: false
+            });
+        }
+
+        logger.info('Template created', { templateId: template.id, channel: template.channel });
+
+        res.status(201).json({
+            message: 'Template created successfully',
+            template,
+            success: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create template');
+    }
+});
+
+// Update a template
+router.put('/:id', requireScope('templates:write'), validate(updateTemplateSchema), async (req, res) => {
+    try {
+        const existing = templates.get(req.params.id);
+        if (!existing) {
+            return notFound(res, req.params.id);
+        }
+
+        // The merged template must still have every field its channel needs
+        const errors = validateSchema(createTemplateSchema, { ...existing, ...req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors,
+                success: false
+            });
+        }
+
+        const template = await templates.update(req.params.id, req.body);
+
+        res.json({
+            message: 'Template updated successfully',
+            template,
+            success: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update template');
+    }
+});
+
+// Delete a template
+router.delete('/:id', requireScope('templates:write'), async (req, res) => {
+    try {
+        const removed = await templates.remove(req.params.id);
+        if (!removed) {
+            return notFound(res, req.params.id);
+        }
+
+        res.json({
+            message: 'Template deleted successfully',
+            id: req.params.id,
+            success: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to delete template');
+    }
+});
+
+// Render a template without sending it
+router.post('/:id/preview', requireScope('templates:read'), validate(previewTemplateSchema), (req, res) => {
+    const template = templates.get(req.params.id);
+    if (!template) {
+        return notFound(res, req.params.id);
+    }
+
+    const { rendered, missing } = renderTemplate(template, req.body?.variables || {});
+
+    res.json({
+        templateId: template.id,
+        channel: template.channel,
+        rendered,
+        missingVariables: missing,
+        success: true
+    });
+});
+
+export default router;
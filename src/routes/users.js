@@ -0,0 +1,454 @@
+import 'dotenv/config';
+import express from 'express';
+import { validate, validateSchema } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import {
+    addAliasesSchema,
+    aliasParamsSchema,
+    importErrorsQuerySchema,
+    importUsersSchema,
+    listSubscriptionsSchema,
+    updatePreferencesSchema,
+    updateSubscriptionSchema,
+    updateTagsSchema
+} from '../schemas/users.js';
+import { CsvError, parseCsvRecords, toCsv } from '../services/csv.js';
+import { defaultCategory } from '../services/preferences.js';
+import userImporter, { importMaxRows, normalizeMapping, prepareRows } from '../services/userImport.js';
+import logger from '../services/logger.js';
+import imports from '../stores/imports.js';
+import preferences from '../stores/preferences.js';
+
+// OneSignal subscription types are per platform ("iOSPush", "ChromePush", "Email", "SMS", ...)
+const subscriptionChannel = (type) => {
+    if (type === 'Email') return 'email';
+    if (type === 'SMS') return 'sms';
+    return 'push';
+};
+
+const toSubscription = (subscription) => ({
+    id: subscription.id,
+    channel: subscriptionChannel(subscription.type),
+    type: subscription.type,
+    token: subscription.token || null,
+    enabled: subscription.enabled !== false,
+    deviceModel: subscription.device_model || null,
+    lastActive: subscription.last_active ? new Date(subscription.last_active * 1000).toISOString() : null
+});
+
+// Raw CSV uploads (Content-Type: text/csv) take their column mapping from the query string:
+// ?externalId=user_id&email=Email&phoneNumber=Phone&tags=plan,company
+const csvBody = express.text({ type: 'text/csv', limit: process.env.JSON_BODY_LIMIT || '5mb' });
+
+function importInput(req) {
+    if (typeof req.body !== 'string') {
+        return req.body;
+    }
+
+    const { externalId, email, phoneNumber, tags } = req.query;
+    const mapping = Object.fromEntries(
+        Object.entries({ externalId, email, phoneNumber }).filter(([, column]) => column !== undefined)
+    );
+    if (tags !== undefined) {
+        mapping.tags = String(tags).split(',').map((column) => column.trim()).filter(Boolean);
+    }
+    return { csv: req.body, mapping };
+}
+
+// Columns the mapping names explicitly must be in the CSV header; unmapped defaults are optional
+function missingColumns(records, input, mapping) {
+    const header = Object.keys(records[0]);
+    const named = [
+        mapping.externalId,
+        ...['email', 'phoneNumber'].filter((field) => input.mapping?.[field]).map((field) => mapping[field]),
+        ...Object.values(mapping.tags)
+    ];
+    return [...new Set(named)].filter((column) => !header.includes(column));
+}
+
+const importStatus = (record) => ({
+    ...record,
+    progress: record.total > 0 ? Math.floor((record.processed / record.total) * 100) : 100,
+    errorReport: ['completed', 'failed'].includes(record.status) && record.failed > 0
+        ? `/api/users/import/${record.id}/errors`
+        : null
+});
+
+// A client only sees the imports it started
+const ownImport = (req) => {
+    const record = imports.get(req.params.id);
+    return record && record.caller === req.client.id ? record : null;
+};
+
+const importNotFound = (res, id) => res.status(404).json({
+    error: 'Import not found',
+    message: `No user import with id: ${id}`,
+    success: false
+});
+
+// User management routes, through the injected channel provider
+export default function userRoutes(provider) {
+    const router = express.Router();
+
+    // Import users from a CSV or JSON upload; the users are created in the background
+    router.post('/import', requireScope('users:write'), csvBody, async (req, res) => {
+        try {
+            const input = importInput(req);
+            const errors = validateSchema(importUsersSchema, input);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    code: 'validation_failed',
+                    details: errors,
+                    success: false
+                });
+            }
+
+            const format = input.csv ? 'csv' : 'json';
+            let records;
+            try {
+                records = input.csv ? parseCsvRecords(input.csv) : input.rows;
+            } catch (error) {
+                if (error instanceof CsvError) {
+                    return res.status(400).json({
+                        error: 'Invalid CSV',
+                        code: 'validation_failed',
+                        message: error.message,
+                        success: false
+                    });
+                }
+                throw error;
+            }
+
+            if (records.length === 0 || records.length > importMaxRows()) {
+                return res.status(400).json({
+                    error: 'Invalid import',
+                    code: 'validation_failed',
+                    message: `An import must have between 1 and ${importMaxRows()} rows, got ${records.length}`,
+                    success: false
+                });
+            }
+
+            const mapping = normalizeMapping(input.mapping);
+            const missing = format === 'csv' ? missingColumns(records, input, mapping) : [];
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid import',
+                    code: 'validation_failed',
+                    message: `Columns not found in the CSV header: ${missing.join(', ')}`,
+                    success: false
+                });
+            }
+
+            const record = await userImporter.create({
+                format,
+                mapping,
+                rows: prepareRows(records, mapping),
+                caller: req.client.id
+            });
+
+            res.status(202).json({
+                message: `Import of ${record.total} users queued`,
+                import: importStatus(record),
+                statusUrl: `/api/users/import/${record.id}`,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to import users');
+        }
+    });
+
+    // Progress and status of an import
+    router.get('/import/:id', requireScope('users:read'), (req, res) => {
+        const record = ownImport(req);
+        if (!record) {
+            return importNotFound(res, req.params.id);
+        }
+
+        res.json({
+            import: importStatus(record),
+            success: true
+        });
+    });
+
+    // The rows that failed, as CSV with the uploaded columns plus import_row and import_error, or JSON
+    router.get('/import/:id/errors', requireScope('users:read'), validate(importErrorsQuerySchema, 'query'), (req, res) => {
+        const record = ownImport(req);
+        if (!record) {
+            return importNotFound(res, req.params.id);
+        }
+
+        if (!['completed', 'failed'].includes(record.status)) {
+            return res.status(409).json({
+                error: 'Import not finished',
+                message: `Import ${record.id} is ${record.status}; the error report is ready when it finishes`,
+                success: false
+            });
+        }
+
+        const failures = userImporter.failedRows(record.id);
+
+        if (req.query.format === 'json') {
+            return res.json({
+                importId: record.id,
+                errors: failures,
+                success: true
+            });
+        }
+
+        const columns = [...new Set(failures.flatMap((failure) => Object.keys(failure.record)))];
+        const csv = toCsv(
+            [...columns, 'import_row', 'import_error'],
+            failures.map((failure) => ({ ...failure.record, import_row: failure.row, import_error: failure.error }))
+        );
+
+        res.attachment(`import-${record.id}-errors.csv`).type('text/csv').send(csv);
+    });
+
+    // Get a user's tags, aliases and subscriptions
+    router.get('/:externalId', requireScope('users:read'), async (req, res) => {
+        try {
+            const user = await provider.getUser(req.params.externalId);
+
+            res.json({
+                user: {
+                    externalId: req.params.externalId,
+                    aliases: user.identity || {},
+                    tags: user.properties?.tags || {},
+                    properties: user.properties || {},
+                    subscriptions: (user.subscriptions || []).map(toSubscription)
+                },
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to get user');
+        }
+    });
+
+    // Set tags; a null value removes that tag
+    router.patch('/:externalId/tags', requireScope('users:write'), validate(updateTagsSchema), async (req, res) => {
+        try {
+            const { externalId } = req.params;
+            const tags = Object.fromEntries(
+                Object.entries(req.body.tags).map(([key, value]) => [key, value === null ? '' : String(value)])
+            );
+
+            logger.info('Updating user tags', { externalId, tags: Object.keys(tags) });
+
+            const result = await provider.tagUser(externalId, tags);
+
+            res.json({
+                message: 'Tags updated',
+                externalId,
+                tags: result.properties?.tags ?? tags,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to update tags');
+        }
+    });
+
+    // Remove one tag
+    router.delete('/:externalId/tags/:key', requireScope('users:write'), async (req, res) => {
+        try {
+            const { externalId, key } = req.params;
+
+            logger.info('Removing user tag', { externalId, tag: key });
+
+            await provider.deleteTags(externalId, [key]);
+
+            res.json({
+                message: `Tag removed: ${key}`,
+                externalId,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to remove tag');
+        }
+    });
+
+    // Add aliases (label -> id)
+    router.post('/:externalId/aliases', requireScope('users:write'), validate(addAliasesSchema), async (req, res) => {
+        try {
+            const { externalId } = req.params;
+
+            logger.info('Adding user aliases', { externalId, aliases: Object.keys(req.body.aliases) });
+
+            const result = await provider.addAliases(externalId, req.body.aliases);
+
+            res.json({
+                message: 'Aliases added',
+                externalId,
+                aliases: result.identity ?? req.body.aliases,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to add aliases');
+        }
+    });
+
+    // Remove one alias
+    router.delete('/:externalId/aliases/:label', requireScope('users:write'), validate(aliasParamsSchema, 'params'), async (req, res) => {
+        try {
+            const { externalId, label } = req.params;
+
+            logger.info('Removing user alias', { externalId, alias: label });
+
+            const result = await provider.removeAlias(externalId, label);
+
+            res.json({
+                message: `Alias removed: ${label}`,
+                externalId,
+                aliases: result.identity ?? null,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to remove alias');
+        }
+    });
+
+    // List a user's push, email and SMS subscriptions
+    router.get('/:externalId/subscriptions', requireScope('users:read'), validate(listSubscriptionsSchema, 'query'), async (req, res) => {
+        try {
+            const { channel } = req.query;
+            const user = await provider.getUser(req.params.externalId);
+
+            const subscriptions = (user.subscriptions || [])
+                .map(toSubscription)
+                .filter((subscription) => !channel || subscription.channel === channel);
+
+            res.json({
+                externalId: req.params.externalId,
+                subscriptions,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to list subscriptions');
+        }
+    });
+
+    // Enable or disable one of the user's subscriptions
+    router.patch('/:externalId/subscriptions/:subscriptionId', requireScope('users:write'), validate(updateSubscriptionSchema), async (req, res) => {
+        try {
+            const { externalId, subscriptionId } = req.params;
+            const { enabled } = req.body;
+
+            // Only subscriptions that belong to this user can be changed through it
+            const user = await provider.getUser(externalId);
+            const subscription = (user.subscriptions || []).find((candidate) => candidate.id === subscriptionId);
+            if (!subscription) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `User ${externalId} has no subscription ${subscriptionId}`,
+                    success: false
+                });
+            }
+
+            logger.info('Updating subscription', { externalId, subscriptionId, type: subscription.type, enabled });
+
+            await provider.setSubscriptionEnabled(subscriptionId, enabled);
+
+            res.json({
+                message: `Subscription ${enabled ? 'enabled' : 'disabled'}`,
+                externalId,
+                subscription: toSubscription({ ...subscription, enabled }),
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to update subscription');
+        }
+    });
+
+    // Get a user's notification preferences; users who never set any receive everything
+    router.get('/:externalId/preferences', requireScope('users:read'), (req, res) => {
+        const { externalId } = req.params;
+
+        res.json({
+            preferences: preferences.get(externalId) || {
+                externalId,
+                categories: {},
+                channels: {},
+                quietHours: null,
+                timezone: 'UTC'
+            },
+            defaultCategory: defaultCategory(),
+            success: true
+        });
+    });
+
+    // Update notification preferences; categories and channels merge with what is stored
+    router.put('/:externalId/preferences', requireScope('users:write'), validate(updatePreferencesSchema), async (req, res) => {
+        try {
+            const { externalId } = req.params;
+
+            logger.info('Updating notification preferences', { externalId });
+
+            const saved = await preferences.save(externalId, req.body);
+
+            res.json({
+                message: 'Preferences updated',
+                preferences: saved,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to update preferences');
+        }
+    });
+
+    // Clear a user's notification preferences
+    router.delete('/:externalId/preferences', requireScope('users:write'), async (req, res) => {
+        try {
+            const { externalId } = req.params;
+
+            if (!(await preferences.remove(externalId))) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `No preferences stored for user: ${externalId}`,
+                    success: false
+                });
+            }
+
+            res.json({
+                message: 'Preferences cleared',
+                externalId,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to clear preferences');
+        }
+    });
+
+    // Delete a user and all of their subscriptions, along with their stored preferences
+    router.delete('/:externalId', requireScope('users:delete'), async (req, res) => {
+        try {
+            const { externalId } = req.params;
+
+            logger.info('Deleting user', { externalId });
+
+            await provider.deleteUser(externalId);
+            await preferences.remove(externalId);
+
+            res.json({
+                message: `User deleted: ${externalId}`,
+                externalId,
+                success: true
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Failed to delete user');
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,38 @@
+import 'dotenv/config';
+import express from 'express';
+import { verifyWebhookSecret } from '../middleware/auth.js';
+import { sendError } from '../middleware/errors.js';
+import { ingestEvents } from '../services/engagement.js';
+import logger from '../services/logger.js';
+
+const router = express.Router();
+
+// Receive OneSignal delivery and engagement events (one event, an array, or { events: [...] })
+router.post('/onesignal', verifyWebhookSecret(), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const events = Array.isArray(body) ? body : Array.isArray(body.events) ? body.events : [body];
+
+        if (events.some((event) => event === null || typeof event !== 'object')) {
+            return res.status(400).json({
+                error: 'Invalid webhook payload',
+                message: 'Expected an event object or an array of event objects',
+                success: false
+            });
+        }
+
+        const summary = await ingestEvents(events);
+
+        logger.info('Webhook events received', summary);
+
+        res.json({
+            ...summary,
+            success: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to store webhook events');
+    }
+});
+
+export default router;
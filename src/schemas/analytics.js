@@ -0,0 +1,9 @@
+// Request schemas for /api/analytics
+export const engagementQuerySchema = {
+    fields: {
+        groupBy: { type: 'string', required: true, enum: ['campaign', 'segment', 'day'] },
+        channel: { type: 'string', enum: ['push', 'email', 'sms'] },
+        from: { type: 'isoDate' },
+        to: { type: 'isoDate' }
+    }
+};
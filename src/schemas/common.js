@@ -0,0 +1,244 @@
+// Field rules shared by the route schemas
+import { DELAY_UNITS } from '../middleware/validation.js';
+import { isValidTimeZone } from '../services/cron.js';
+import { defaultLanguage, supportedLanguages } from '../services/localization.js';
+import { batchMaxRecipients } from '../services/batch.js';
+import { smsMaxSegments, smsSegments } from '../services/sms.js';
+import { CATEGORIES } from '../services/preferences.js';
+import { isValidCursor } from '../stores/outbox.js';
+import {
+    IOS_BADGE_TYPES,
+    IOS_SOUND_PATTERN,
+    MAX_BUTTONS,
+    MAX_COLLAPSE_ID_BYTES,
+    MAX_TTL_SECONDS,
+    PRIORITIES
+} from '../services/push.js';
+
+export const nonEmptyString = { type: 'string', nonEmpty: true };
+
+// Text in the default language, or a map of language code to text that includes the default language
+export const localizedText = {
+    custom: (value, values, field) => {
+        if (typeof value === 'string') {
+            return value.trim() ? null : `${field} must not be empty`;
+        }
+
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return `${field} must be a string or a map of language code to text`;
+        }
+
+        const supported = supportedLanguages();
+        const unsupported = Object.keys(value).filter((code) => !supported.includes(code));
+        if (unsupported.length > 0) {
+            return `${field} has unsupported language codes: ${unsupported.join(', ')}`;
+        }
+
+        if (Object.values(value).some((text) => typeof text !== 'string' || !text.trim())) {
+            return `${field} must have non-empty text for every language`;
+        }
+
+        if (!value[defaultLanguage()]) {
+            return `${field} must include the default language (${defaultLanguage()})`;
+        }
+
+        return null;
+    }
+};
+
+// The segment limit for SMS text, checked in every language; null when within the limit
+export function smsSegmentError(value, field) {
+    const texts = typeof value === 'string' ? { [defaultLanguage()]: value } : value;
+
+    for (const [code, text] of Object.entries(texts || {})) {
+        if (typeof text !== 'string') {
+            continue;
+        }
+
+        const { encoding, segments } = smsSegments(text);
+        if (segments > smsMaxSegments()) {
+            const label = typeof value === 'string' ? field : `${field}.${code}`;
+            return `${label} is ${segments} SMS segments of ${encoding} text; the limit is ${smsMaxSegments()}`;
+        }
+    }
+
+    return null;
+}
+
+// Localized SMS text within the segment limit
+export const smsText = {
+    custom: (value, values, field) => localizedText.custom(value, values, field) || smsSegmentError(value, field)
+};
+
+export const languageField = {
+    type: 'string',
+    custom: (value, values, field) =>
+        (supportedLanguages().includes(value) ? null : `${field} has an unsupported language code: ${value}`)
+};
+
+// An absolute URL with one of `protocols`, or any scheme when none are given (app deep links)
+const urlField = (...protocols) => ({
+    type: 'string',
+    custom: (value, values, field) => {
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            return `${field} must be an absolute URL`;
+        }
+
+        return protocols.length === 0 || protocols.includes(url.protocol)
+            ? null
+            : `${field} must be an ${protocols.map((protocol) => protocol.slice(0, -1)).join(' or ')} URL`;
+    }
+});
+
+// `url` opens on every platform; `appUrl` and `webUrl` replace it per platform, so they cannot be combined
+const platformUrl = (protocols) => {
+    const rule = urlField(...protocols);
+    return {
+        ...rule,
+        custom: (value, values, field) =>
+            rule.custom(value, values, field) || (values.url ? `${field} cannot be combined with url` : null)
+    };
+};
+
+// Rich push options, mapped to OneSignal fields in services/push.js
+export const pushOptionFields = {
+    url: urlField('http:', 'https:'),
+    appUrl: platformUrl([]),
+    webUrl: platformUrl(['http:', 'https:']),
+    bigPicture: urlField('http:', 'https:'),
+    // Browsers only load notification images over HTTPS
+    chromeWebImage: urlField('https:'),
+    buttons: {
+        type: 'array',
+        minLength: 1,
+        maxLength: MAX_BUTTONS,
+        items: {
+            type: 'object',
+            properties: {
+                id: { ...nonEmptyString, required: true, maxLength: 64 },
+                text: { ...nonEmptyString, required: true, maxLength: 64 },
+                icon: nonEmptyString
+            }
+        },
+        custom: (value, values, field) => {
+            const ids = value.map((button) => button?.id);
+            return new Set(ids).size === ids.length ? null : `${field} must have unique ids`;
+        }
+    },
+    collapseId: {
+        ...nonEmptyString,
+        custom: (value, values, field) => (Buffer.byteLength(value) <= MAX_COLLAPSE_ID_BYTES
+            ? null
+            : `${field} must be at most ${MAX_COLLAPSE_ID_BYTES} bytes`)
+    },
+    ttl: { type: 'integer', min: 0, max: MAX_TTL_SECONDS },
+    priority: { type: 'integer', enum: PRIORITIES },
+    androidChannelId: {
+        type: 'string',
+        pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+        patternMessage: 'androidChannelId must be a OneSignal channel id (UUID)'
+    },
+    iosBadgeType: { type: 'string', enum: IOS_BADGE_TYPES },
+    iosBadgeCount: {
+        type: 'integer',
+        custom: (value, values, field) => {
+            if (!['SetTo', 'Increase'].includes(values.iosBadgeType)) {
+                return `${field} requires iosBadgeType SetTo or Increase`;
+            }
+            return values.iosBadgeType === 'SetTo' && value < 0 ? `${field} must be at least 0 with SetTo` : null;
+        }
+    },
+    iosSound: {
+        type: 'string',
+        pattern: IOS_SOUND_PATTERN,
+        patternMessage: 'iosSound must be a bundled .wav, .aiff or .caf file name'
+    }
+};
+
+// Queue the send and answer 202 with a job id instead of waiting for OneSignal
+export const asyncField = { type: 'boolean' };
+
+// Campaign name for grouping engagement analytics; sent to OneSignal as the notification name
+export const campaignField = { type: 'string', nonEmpty: true, maxLength: 128 };
+
+// The preference category a send belongs to; only transactional sends may bypass preferences
+export const preferenceFields = {
+    category: { type: 'string', enum: CATEGORIES },
+    bypassPreferences: {
+        type: 'boolean',
+        custom: (value, values, field) =>
+            (!value || values.category === 'transactional' ? null : `${field} is only allowed when category is transactional`)
+    }
+};
+
+// Content fields become optional when the request names a stored template
+export const requiredUnlessTemplate = (values) => !values.templateId;
+
+export const templateFields = {
+    templateId: nonEmptyString,
+    variables: { type: 'object' }
+};
+
+// The recipient list of a batch send; `recipientRule` describes each entry's identifying field
+export const batchRecipients = (recipientField, recipientRule, extraProperties = {}) => ({
+    type: 'array',
+    required: true,
+    minLength: 1,
+    maxLength: batchMaxRecipients(),
+    items: {
+        type: 'object',
+        properties: {
+            [recipientField]: { ...recipientRule, required: true },
+            variables: { type: 'object' },
+            ...extraProperties
+        }
+    }
+});
+
+// Filters and pagination accepted by the history endpoints
+export const historyQueryFields = {
+    userId: nonEmptyString,
+    segment: nonEmptyString,
+    from: { type: 'isoDate' },
+    to: { type: 'isoDate' },
+    cursor: {
+        ...nonEmptyString,
+        custom: (value, values, field) => (isValidCursor(value) ? null : `${field} is not a valid cursor`)
+    },
+    limit: { type: 'numeric' }
+};
+
+export const timezoneField = {
+    type: 'string',
+    custom: (value, values, field) => (isValidTimeZone(value) ? null : `${field} is not a known IANA timezone`)
+};
+
+export const futureDate = {
+    type: 'isoDate',
+    custom: (value, values, field) => (Date.parse(value) > Date.now() ? null : `${field} must be in the future`)
+};
+
+export const delayFields = {
+    // An absolute time; when given, delayAmount and delayUnit are ignored
+    sendAt: futureDate,
+    delayUnit: { type: 'string', enum: DELAY_UNITS },
+    // A count of units, or a time of day such as "9:00AM" when delayUnit is "timezone"
+    delayAmount: {
+        custom: (value, values) => {
+            if (values.sendAt) {
+                return null;
+            }
+            if (values.delayUnit === 'timezone') {
+                return typeof value === 'string' && /^\d{1,2}:\d{2}\s?(AM|PM)$/i.test(value)
+                    ? null
+                    : 'delayAmount must be a time of day such as "9:00AM" when delayUnit is timezone';
+            }
+            return typeof value === 'number' && Number.isFinite(value) && value > 0
+                ? null
+                : 'delayAmount must be a positive number';
+        }
+    }
+};
@@ -0,0 +1,68 @@
+// Request schemas for /api/emails
+import {
+    asyncField,
+    batchRecipients,
+    campaignField,
+    delayFields,
+    historyQueryFields,
+    languageField,
+    localizedText,
+    nonEmptyString,
+    preferenceFields,
+    requiredUnlessTemplate,
+    templateFields
+} from './common.js';
+
+const emailFields = {
+    email: { type: 'email', required: true },
+    subject: { ...localizedText, required: requiredUnlessTemplate },
+    body: { ...localizedText, required: requiredUnlessTemplate },
+    language: languageField,
+    userId: nonEmptyString,
+    customData: { type: 'object' },
+    campaign: campaignField,
+    ...preferenceFields,
+    ...templateFields
+};
+
+export const emailSchema = {
+    fields: emailFields
+};
+
+export const delayedEmailSchema = {
+    fields: { ...emailFields, ...delayFields }
+};
+
+export const segmentEmailSchema = {
+    fields: {
+        segment: { ...nonEmptyString, required: true },
+        subject: { ...localizedText, required: requiredUnlessTemplate },
+        body: { ...localizedText, required: requiredUnlessTemplate },
+        language: languageField,
+        customData: { type: 'object' },
+        campaign: campaignField,
+        async: asyncField,
+        ...templateFields
+    }
+};
+
+// Content is rendered per recipient, so subject/body may contain {{variables}}
+export const emailBatchSchema = {
+    fields: {
+        subject: emailFields.subject,
+        body: emailFields.body,
+        language: languageField,
+        customData: { type: 'object' },
+        campaign: campaignField,
+        ...preferenceFields,
+        ...templateFields,
+        recipients: batchRecipients('email', { type: 'email' }, { language: languageField })
+    }
+};
+
+export const emailHistorySchema = {
+    fields: {
+        ...historyQueryFields,
+        email: { type: 'email' }
+    }
+};
@@ -0,0 +1,9 @@
+// Request schemas for /api/jobs
+import { JOB_STATUSES } from '../services/sendQueue.js';
+
+export const listJobsSchema = {
+    fields: {
+        status: { type: 'string', enum: JOB_STATUSES },
+        channel: { type: 'string', enum: ['push', 'email', 'sms'] }
+    }
+};
@@ -0,0 +1,110 @@
+// Request schemas for /api/journeys
+import { batchMaxRecipients } from '../services/batch.js';
+import { EVENT_TYPES } from '../services/engagement.js';
+import { nonEmptyString } from './common.js';
+
+// One user, or many for bulk enrollment
+const targetFields = {
+    externalId: nonEmptyString,
+    externalIds: {
+        type: 'array',
+        minLength: 1,
+        maxLength: batchMaxRecipients(),
+        items: nonEmptyString,
+        custom: (value, values, field) =>
+            (new Set(value).size === value.length ? null : `${field} must not repeat an external id`)
+    }
+};
+
+// The name enrollments are recorded under; defaults to the segment tag or event name
+const journeyField = { ...nonEmptyString, maxLength: 128 };
+
+export const createUserSchema = {
+    fields: {
+        externalId: { ...nonEmptyString, required: true },
+        email: { type: 'email' },
+        phoneNumber: { type: 'phone' },
+        firstName: { ...nonEmptyString, required: true },
+        companyName: nonEmptyString
+    },
+    atLeastOne: [['email', 'phoneNumber']]
+};
+
+export const triggerJourneySchema = {
+    fields: {
+        ...targetFields,
+        segmentTag: nonEmptyString,
+        segmentValue: { type: 'string' },
+        journey: journeyField,
+        // Trigger users who are already enrolled again
+        reenter: { type: 'boolean' }
+    },
+    atLeastOne: [['externalId', 'externalIds']]
+};
+
+export const triggerEventSchema = {
+    fields: {
+        ...targetFields,
+        name: {
+            type: 'string',
+            required: true,
+            pattern: /^[A-Za-z0-9_.:-]{1,128}$/,
+            patternMessage: 'name may only contain letters, digits, "_", ".", ":" and "-" (at most 128)'
+        },
+        properties: { type: 'object' },
+        journey: journeyField
+    },
+    atLeastOne: [['externalId', 'externalIds']]
+};
+
+export const exitJourneySchema = {
+    fields: {
+        ...targetFields,
+        journey: { ...journeyField, required: true }
+    },
+    atLeastOne: [['externalId', 'externalIds']]
+};
+
+export const enrollmentQuerySchema = {
+    fields: {
+        journey: nonEmptyString,
+        externalId: nonEmptyString,
+        status: { type: 'string', enum: ['enrolled', 'exited'] }
+    }
+};
+
+export const startJourneyRunSchema = {
+    fields: {
+        ...targetFields,
+        journey: { ...journeyField, required: true },
+        // Rendered into the journey's content next to the user's tags
+        properties: { type: 'object' }
+    },
+    atLeastOne: [['externalId', 'externalIds']]
+};
+
+export const dryRunSchema = {
+    fields: {
+        externalId: nonEmptyString,
+        tags: { type: 'object' },
+        properties: { type: 'object' },
+        // Sends to treat as engaged, by step id: { "welcome": ["opened"] }
+        engagement: {
+            type: 'object',
+            custom: (value, values, field) => {
+                const valid = Object.values(value).every((types) =>
+                    Array.isArray(types) && types.every((type) => EVENT_TYPES.includes(type)));
+                return valid ? null : `${field} must map step ids to lists of: ${EVENT_TYPES.join(', ')}`;
+            }
+        },
+        startAt: { type: 'isoDate' }
+    }
+};
+
+export const journeyRunQuerySchema = {
+    fields: {
+        journey: nonEmptyString,
+        externalId: nonEmptyString,
+        status: { type: 'string', enum: ['active', 'paused', 'completed', 'failed', 'cancelled'] }
+    }
+};
@@ -0,0 +1,45 @@
+// Request schemas for /api/messages
+import { CHANNELS } from '../services/orchestrator.js';
+import {
+    campaignField,
+    languageField,
+    localizedText,
+    nonEmptyString,
+    preferenceFields,
+    smsSegmentError
+} from './common.js';
+
+const channelsOf = (values) => (Array.isArray(values.channels) ? values.channels : CHANNELS);
+
+// The longest fallback wait OneSignal webhooks can reasonably be expected to answer within
+const MAX_FALLBACK_SECONDS = 7 * 24 * 60 * 60;
+
+export const messageSchema = {
+    fields: {
+        userId: { ...nonEmptyString, required: true },
+        // Priority order; the first channel the user can receive is used
+        channels: {
+            type: 'array',
+            minLength: 1,
+            items: { type: 'string', enum: CHANNELS },
+            custom: (value, values, field) =>
+                (new Set(value).size === value.length ? null : `${field} must not repeat a channel`)
+        },
+        // Push heading, and the email subject unless `subject` is given
+        title: { ...localizedText, required: (values) => channelsOf(values).includes('push') || (channelsOf(values).includes('email') && !values.subject) },
+        // Push and SMS text, and the email body unless `html` is given
+        body: { ...localizedText, required: true },
+        subject: localizedText,
+        html: localizedText,
+        data: { type: 'object' },
+        language: languageField,
+        campaign: campaignField,
+        ...preferenceFields,
+        // Move on to the next channel when no delivery or open is recorded within this many seconds
+        fallbackAfterSeconds: { type: 'integer', min: 60, max: MAX_FALLBACK_SECONDS }
+    },
+    check: (values) => {
+        const lengthError = channelsOf(values).includes('sms') && values.body && smsSegmentError(values.body, 'body');
+        return lengthError ? [{ field: 'body', message: lengthError }] : [];
+    }
+};
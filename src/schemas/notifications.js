@@ -0,0 +1,62 @@
+// Request schemas for /api/notifications
+import {
+    asyncField,
+    batchRecipients,
+    campaignField,
+    delayFields,
+    historyQueryFields,
+    localizedText,
+    nonEmptyString,
+    preferenceFields,
+    pushOptionFields,
+    requiredUnlessTemplate,
+    templateFields
+} from './common.js';
+
+const pushFields = {
+    title: { ...localizedText, required: requiredUnlessTemplate },
+    body: { ...localizedText, required: requiredUnlessTemplate },
+    userId: nonEmptyString,
+    segment: nonEmptyString,
+    data: { type: 'object' },
+    campaign: campaignField,
+    ...pushOptionFields,
+    ...preferenceFields,
+    ...templateFields
+};
+
+export const pushSchema = {
+    fields: pushFields,
+    atLeastOne: [['userId', 'segment']]
+};
+
+export const delayedPushSchema = {
+    fields: { ...pushFields, ...delayFields },
+    atLeastOne: [['userId', 'segment']]
+};
+
+export const pushHistorySchema = {
+    fields: historyQueryFields
+};
+
+export const segmentPushSchema = {
+    fields: {
+        ...pushFields,
+        segment: { ...nonEmptyString, required: true },
+        async: asyncField
+    }
+};
+
+// Content is rendered per recipient, so title/body may contain {{variables}}
+export const pushBatchSchema = {
+    fields: {
+        title: pushFields.title,
+        body: pushFields.body,
+        data: pushFields.data,
+        campaign: campaignField,
+        ...pushOptionFields,
+        ...preferenceFields,
+        ...templateFields,
+        recipients: batchRecipients('userId', nonEmptyString)
+    }
+};
@@ -0,0 +1,116 @@
+// Request schemas for /api/schedules
+import { CronError, nextCronRun } from '../services/cron.js';
+import { pushOptions } from '../services/push.js';
+import {
+    campaignField,
+    futureDate,
+    languageField,
+    localizedText,
+    nonEmptyString,
+    preferenceFields,
+    pushOptionFields,
+    smsSegmentError,
+    templateFields,
+    timezoneField
+} from './common.js';
+
+const cronField = {
+    type: 'string',
+    custom: (value) => {
+        try {
+            // Also rejects expressions that parse but never fire, such as "0 0 31 2 *"
+            nextCronRun(value);
+            return null;
+        } catch (error) {
+            return error instanceof CronError ? error.message : 'cron is invalid';
+        }
+    }
+};
+
+const timingFields = {
+    sendAt: futureDate,
+    cron: cronField,
+    timezone: timezoneField
+};
+
+// Exactly one of sendAt or cron
+const checkTiming = (values) => {
+    if (Boolean(values.sendAt) === Boolean(values.cron)) {
+        return [{ field: 'sendAt|cron', message: 'Provide exactly one of sendAt or cron' }];
+    }
+    if (values.timezone && !values.cron) {
+        return [{ field: 'timezone', message: 'timezone only applies to cron schedules' }];
+    }
+    return [];
+};
+
+// What each channel needs to be sendable
+const checkContent = (values) => {
+    const errors = [];
+    const required = { push: ['title', 'body'], email: ['subject', 'body'], sms: ['body'] }[values.channel];
+
+    if (!values.templateId) {
+        required
+            .filter((field) => !values[field])
+            .forEach((field) => errors.push({ field, message: `${field} is required` }));
+    }
+
+    if (values.channel === 'push' && !values.userId && !values.segment) {
+        errors.push({ field: 'userId|segment', message: 'Either userId or segment must be provided' });
+    }
+    if (values.channel !== 'push') {
+        Object.keys(pushOptions(values))
+            .forEach((field) => errors.push({ field, message: `${field} only applies to push schedules` }));
+    }
+
+    if (values.channel === 'email' && !values.email && !values.segment) {
+        errors.push({ field: 'email|segment', message: 'Either email or segment must be provided' });
+    }
+
+    if (values.channel === 'sms') {
+        if (!values.phoneNumber && !values.segment) {
+            errors.push({ field: 'phoneNumber|segment', message: 'Either phoneNumber or segment must be provided' });
+        }
+
+        const lengthError = values.body && smsSegmentError(values.body, 'body');
+        if (lengthError) {
+            errors.push({ field: 'body', message: lengthError });
+        }
+    }
+
+    return errors;
+};
+
+export const createScheduleSchema = {
+    fields: {
+        channel: { type: 'string', required: true, enum: ['push', 'email', 'sms'] },
+        ...timingFields,
+        userId: nonEmptyString,
+        segment: nonEmptyString,
+        email: { type: 'email' },
+        phoneNumber: { type: 'phone' },
+        title: localizedText,
+        subject: localizedText,
+        body: localizedText,
+        language: languageField,
+        data: { type: 'object' },
+        customData: { type: 'object' },
+        campaign: campaignField,
+        ...preferenceFields,
+        ...pushOptionFields,
+        ...templateFields
+    },
+    check: (values) => [...checkTiming(values), ...(values.channel ? checkContent(values) : [])]
+};
+
+export const rescheduleSchema = {
+    fields: timingFields,
+    check: checkTiming
+};
+
+export const listSchedulesSchema = {
+    fields: {
+        status: { type: 'string', enum: ['scheduled', 'running', 'completed', 'failed', 'cancelled'] },
+        channel: { type: 'string', enum: ['push', 'email', 'sms'] }
+    }
+};
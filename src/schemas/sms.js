@@ -0,0 +1,52 @@
+// Request schemas for /api/sms
+import {
+    asyncField,
+    campaignField,
+    delayFields,
+    historyQueryFields,
+    nonEmptyString,
+    preferenceFields,
+    requiredUnlessTemplate,
+    smsText,
+    templateFields
+} from './common.js';
+
+const smsFields = {
+    phoneNumber: { type: 'phone', required: true },
+    body: { ...smsText, required: requiredUnlessTemplate },
+    campaign: campaignField,
+    ...preferenceFields,
+    ...templateFields
+};
+
+export const smsSchema = {
+    fields: smsFields
+};
+
+export const delayedSmsSchema = {
+    fields: { ...smsFields, ...delayFields }
+};
+
+export const segmentSmsSchema = {
+    fields: {
+        segment: { ...nonEmptyString, required: true },
+        body: smsFields.body,
+        campaign: campaignField,
+        async: asyncField,
+        ...templateFields
+    }
+};
+
+// Checked again once a template has been rendered into the body
+export const renderedSmsSchema = {
+    fields: {
+        body: { ...smsText, required: true }
+    }
+};
+
+export const smsHistorySchema = {
+    fields: {
+        ...historyQueryFields,
+        phoneNumber: { type: 'phone' }
+    }
+};
@@ -0,0 +1,54 @@
+// Request schemas for /api/templates
+import { parse } from '../services/templateEngine.js';
+import { nonEmptyString } from './common.js';
+
+// Reject template source that does not parse, with the parser's reason
+const templateSource = {
+    type: 'string',
+    custom: (value) => {
+        try {
+            parse(value);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+};
+
+const templateFields = {
+    name: nonEmptyString,
+    description: { type: 'string' },
+    channel: { type: 'string', enum: ['push', 'email', 'sms'] },
+    title: templateSource,
+    subject: templateSource,
+    body: { ...templateSource, nonEmpty: true },
+    defaults: { type: 'object' }
+};
+
+// Every channel needs its own content fields
+const channelFields = (values) => {
+    const required = { push: ['title', 'body'], email: ['subject', 'body'], sms: ['body'] }[values.channel];
+    return required
+        .filter((field) => !values[field])
+        .map((field) => ({ field, message: `${field} is required for ${values.channel} templates` }));
+};
+
+export const createTemplateSchema = {
+    fields: {
+        ...templateFields,
+        id: { type: 'string', pattern: /^[A-Za-z0-9][\w-]{0,99}$/, patternMessage: 'id may only contain letters, digits, "_" and "-"' },
+        name: { ...nonEmptyString, required: true },
+        channel: { ...templateFields.channel, required: true }
+    },
+    check: (values) => (values.channel ? channelFields(values) : [])
+};
+
+export const updateTemplateSchema = {
+    fields: templateFields
+};
+
+export const previewTemplateSchema = {
+    fields: {
+        variables: { type: 'object' }
+    }
+};
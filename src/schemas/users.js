@@ -0,0 +1,162 @@
+// Request schemas for /api/users
+import { CATEGORIES, PREFERENCE_CHANNELS } from '../services/preferences.js';
+import { importMaxRows } from '../services/userImport.js';
+import { nonEmptyString, timezoneField } from './common.js';
+
+// OneSignal stores tag values as strings; null removes the tag
+export const tagsField = {
+    type: 'object',
+    custom: (value, values, field) => {
+        const entries = Object.entries(value);
+        if (entries.length === 0) {
+            return `${field} must have at least one tag`;
+        }
+        if (entries.some(([key]) => !key.trim() || key.length > 128)) {
+            return `${field} keys must be 1-128 characters`;
+        }
+        if (entries.some(([, tag]) => tag !== null && !['string', 'number', 'boolean'].includes(typeof tag))) {
+            return `${field} values must be strings, numbers, booleans or null`;
+        }
+        return null;
+    }
+};
+
+// Labels OneSignal manages itself; external_id is also how this API addresses the user
+const RESERVED_ALIASES = ['external_id', 'onesignal_id'];
+
+const ALIAS_LABEL = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const updateTagsSchema = {
+    fields: {
+        tags: { ...tagsField, required: true }
+    }
+};
+
+export const addAliasesSchema = {
+    fields: {
+        aliases: {
+            type: 'object',
+            required: true,
+            custom: (value, values, field) => {
+                const entries = Object.entries(value);
+                if (entries.length === 0) {
+                    return `${field} must have at least one alias`;
+                }
+                const reserved = entries.filter(([label]) => RESERVED_ALIASES.includes(label));
+                if (reserved.length > 0) {
+                    return `${field} cannot set ${reserved.map(([label]) => label).join(', ')}`;
+                }
+                if (entries.some(([label]) => !ALIAS_LABEL.test(label))) {
+                    return `${field} labels may only contain letters, digits, "_" and "-" (at most 64)`;
+                }
+                if (entries.some(([, id]) => typeof id !== 'string' || !id.trim())) {
+                    return `${field} ids must be non-empty strings`;
+                }
+                return null;
+            }
+        }
+    }
+};
+
+export const aliasParamsSchema = {
+    fields: {
+        label: {
+            type: 'string',
+            custom: (value, values, field) =>
+                (RESERVED_ALIASES.includes(value) ? `${field} ${value} cannot be removed` : null)
+        }
+    }
+};
+
+export const listSubscriptionsSchema = {
+    fields: {
+        channel: { type: 'string', enum: ['push', 'email', 'sms'] }
+    }
+};
+
+export const updateSubscriptionSchema = {
+    fields: {
+        enabled: { type: 'boolean', required: true }
+    }
+};
+
+// An object mapping some of `keys` to true (opted in) or false (opted out)
+const optInMap = (keys) => ({
+    type: 'object',
+    custom: (value, values, field) => {
+        const unknown = Object.keys(value).filter((key) => !keys.includes(key));
+        if (unknown.length > 0) {
+            return `${field} has unknown keys: ${unknown.join(', ')} (expected ${keys.join(', ')})`;
+        }
+        if (Object.values(value).some((optIn) => typeof optIn !== 'boolean')) {
+            return `${field} values must be true or false`;
+        }
+        return null;
+    }
+});
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const PREFERENCE_FIELDS = ['categories', 'channels', 'quietHours', 'timezone', 'email', 'phoneNumber'];
+
+// Every field is optional and merged into what is stored; quietHours, email and phoneNumber clear with null
+export const updatePreferencesSchema = {
+    fields: {
+        categories: optInMap(CATEGORIES),
+        channels: optInMap(PREFERENCE_CHANNELS),
+        // Local times in `timezone`, e.g. { start: "22:00", end: "07:00" }
+        quietHours: {
+            type: 'object',
+            properties: {
+                start: { type: 'string', required: true, pattern: TIME_OF_DAY, patternMessage: 'quietHours.start must be a 24-hour time such as "22:00"' },
+                end: { type: 'string', required: true, pattern: TIME_OF_DAY, patternMessage: 'quietHours.end must be a 24-hour time such as "07:00"' }
+            },
+            custom: (value, values, field) =>
+                (value.start && value.start === value.end ? `${field}.start and ${field}.end must differ` : null)
+        },
+        timezone: timezoneField,
+        // Addresses these preferences also apply to when a send names only the address
+        email: { type: 'email' },
+        phoneNumber: { type: 'phone' }
+    },
+    check: (values) => (PREFERENCE_FIELDS.some((name) => values[name] !== undefined)
+        ? []
+        : [{ field: PREFERENCE_FIELDS.join('|'), message: `At least one of ${PREFERENCE_FIELDS.join(', ')} must be provided` }])
+};
+
+// Tag columns: a list of columns kept under their own names, or tag keys mapped to columns
+const tagColumnsField = {
+    custom: (value, values, field) => {
+        const columns = Array.isArray(value) || typeof value !== 'object' ? value : Object.values(value);
+        const valid = Array.isArray(columns) &&
+            columns.length > 0 &&
+            columns.every((column) => typeof column === 'string' && column.trim() !== '');
+        return valid ? null : `${field} must be a list of column names or an object mapping tag keys to column names`;
+    }
+};
+
+export const importUsersSchema = {
+    fields: {
+        csv: { type: 'string', nonEmpty: true },
+        rows: { type: 'array', minLength: 1, maxLength: importMaxRows(), items: { type: 'object' } },
+        mapping: {
+            type: 'object',
+            properties: {
+                externalId: nonEmptyString,
+                email: nonEmptyString,
+                phoneNumber: nonEmptyString,
+                tags: tagColumnsField
+            }
+        }
+    },
+    atLeastOne: [['csv', 'rows']],
+    check: (values) => (values.csv && values.rows
+        ? [{ field: 'csv|rows', message: 'Send either csv or rows, not both' }]
+        : [])
+};
+
+export const importErrorsQuerySchema = {
+    fields: {
+        format: { type: 'string', enum: ['csv', 'json'] }
+    }
+};
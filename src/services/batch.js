@@ -0,0 +1,195 @@
+// Personalized sends to many individual recipients.
+//
+// Each recipient's content is rendered from the shared title/subject/body (inline template
+// source or a stored template) with their own variables. Recipients whose rendered content is
+// identical are grouped, each group is split into chunks under OneSignal's per-request recipient
+// limit, and chunks are sent with bounded concurrency. Every recipient gets its own result.
+//
+// An optional `screen` applies each recipient's notification preferences first: rejected recipients
+// are left out, and recipients in quiet hours are grouped into sends scheduled for when those end.
+import { toOneSignalKey } from '../middleware/idempotency.js';
+import { pickLanguage } from './localization.js';
+import { render, TEMPLATE_FIELDS } from './templateEngine.js';
+
+// OneSignal accepts at most 20,000 aliases or email tokens per notification
+const ONESIGNAL_MAX_RECIPIENTS = 20000;
+
+export const batchMaxRecipients = () => Number(process.env.BATCH_MAX_RECIPIENTS) || 10000;
+
+const chunkSize = () => Math.min(Number(process.env.BATCH_CHUNK_SIZE) || 2000, ONESIGNAL_MAX_RECIPIENTS);
+
+const concurrency = () => Number(process.env.BATCH_CONCURRENCY) || 4;
+
+const CHANNELS = {
+    push: {
+        recipientField: 'userId',
+        send: (provider, recipients, content, { data, options, sendAt }, context) => provider.sendPushToUsers({
+            userIds: recipients.map((recipient) => recipient.userId),
+            ...content,
+            data,
+            options,
+            sendAt
+        }, context),
+        invalidRecipients: (response) => response.errors?.invalid_aliases?.external_id || []
+    },
+    email: {
+        recipientField: 'email',
+        send: (provider, recipients, content, { customData, sendAt }, context) => provider.sendEmailToAddresses({
+            emails: recipients.map((recipient) => recipient.email),
+            ...content,
+            customData,
+            sendAt
+        }, context),
+        invalidRecipients: (response) => response.errors?.invalid_email_tokens || []
+    }
+};
+
+// Render one content field; push keeps per-language maps, email picks the recipient's language
+function renderField(source, variables, { channel, escape, language }, missing) {
+    const renderText = (text) => {
+        const result = render(text, variables, { escape });
+        result.missing.forEach((name) => missing.add(name));
+        return result.output;
+    };
+
+    if (typeof source === 'string') {
+        return renderText(source);
+    }
+
+    if (channel === 'email') {
+        return renderText(pickLanguage(source, language));
+    }
+
+    return Object.fromEntries(Object.entries(source).map(([code, text]) => [code, renderText(text)]));
+}
+
+// Run async tasks with at most `limit` in flight
+export async function runWithConcurrency(tasks, limit) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+        while (next < tasks.length) {
+            const task = tasks[next++];
+            await task();
+        }
+    });
+    await Promise.all(workers);
+}
+
+// `content` holds the title/subject/body sources, `variables` the values shared by every recipient,
+// `options` the rich push options (see services/push.js) and `screen(recipient)` returns a preference verdict (see services/preferences.js)
+export async function sendBatch(provider, {
+    channel,
+    recipients,
+    content,
+    variables = {},
+    language = null,
+    data = {},
+    options = {},
+    customData = {},
+    screen = null
+}, context = {}) {
+    const { recipientField, send, invalidRecipients } = CHANNELS[channel];
+    const fields = TEMPLATE_FIELDS[channel];
+
+    const results = recipients.map((recipient, index) => ({
+        index,
+        [recipientField]: recipient[recipientField],
+        status: 'pending',
+        notificationId: null,
+        deferredUntil: null,
+        reason: null,
+        error: null
+    }));
+
+    // Group recipients by their rendered content and deferral
+    const groups = new Map();
+    recipients.forEach((recipient, index) => {
+        const verdict = screen ? screen(recipient) : { action: 'send' };
+        if (verdict.action === 'reject') {
+            Object.assign(results[index], { status: 'rejected', reason: verdict.reason, error: verdict.message });
+            return;
+        }
+        const sendAt = verdict.action === 'defer' ? verdict.until : null;
+
+        const recipientVariables = {
+            ...(channel === 'email' ? customData : {}),
+            ...variables,
+            ...recipient.variables
+        };
+        const options = { channel, language: recipient.language || language };
+        const missing = new Set();
+
+        const rendered = Object.fromEntries(Object.entries(fields).map(([field, isHtml]) => [
+            field,
+            renderField(content[field], recipientVariables, { ...options, escape: isHtml }, missing)
+        ]));
+
+        if (missing.size > 0) {
+            Object.assign(results[index], {
+                status: 'failed',
+                error: `Missing template variables: ${[...missing].join(', ')}`
+            });
+            return;
+        }
+
+        const key = JSON.stringify([rendered, sendAt]);
+        if (!groups.has(key)) {
+            groups.set(key, { content: rendered, sendAt, members: [] });
+        }
+        groups.get(key).members.push({ index, recipient });
+    });
+
+    const chunks = [];
+    for (const group of groups.values()) {
+        for (let i = 0; i < group.members.length; i += chunkSize()) {
+            chunks.push({ content: group.content, sendAt: group.sendAt, members: group.members.slice(i, i + chunkSize()) });
+        }
+    }
+
+    const tasks = chunks.map((chunk, chunkIndex) => async () => {
+        const chunkRecipients = chunk.members.map((member) => member.recipient);
+        // Chunking is deterministic, so a retried batch derives the same key for every chunk
+        const chunkContext = {
+            ...context,
+            idempotencyKey: context.idempotencyKey ? toOneSignalKey(`${context.idempotencyKey}:${chunkIndex}`) : null
+        };
+
+        try {
+            const response = await send(provider, chunkRecipients, chunk.content, { data, options, customData, sendAt: chunk.sendAt }, chunkContext);
+
+            if (!response.id) {
+                const reason = Array.isArray(response.errors) ? response.errors[0] : 'No subscribed recipients';
+                chunk.members.forEach((member) => Object.assign(results[member.index], { status: 'failed', error: reason }));
+                return;
+            }
+
+            const invalid = new Set(invalidRecipients(response));
+            for (const member of chunk.members) {
+                Object.assign(results[member.index], invalid.has(member.recipient[recipientField])
+                    ? { status: 'failed', error: 'Recipient is invalid or not subscribed' }
+                    : { status: 'sent', notificationId: response.id, deferredUntil: chunk.sendAt });
+            }
+        } catch (error) {
+            const reason = error.message;
+            chunk.members.forEach((member) => Object.assign(results[member.index], { status: 'failed', error: reason }));
+        }
+    });
+
+    await runWithConcurrency(tasks, concurrency());
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const sent = count('sent');
+    const rejected = count('rejected');
+
+    return {
+        summary: {
+            total: results.length,
+            sent,
+            deferred: results.filter((result) => result.status === 'sent' && result.deferredUntil).length,
+            rejected,
+            failed: results.length - sent - rejected,
+            requests: chunks.length
+        },
+        results
+    };
+}
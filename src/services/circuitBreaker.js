@@ -0,0 +1,121 @@
+// Circuit breaker that fails fast while an upstream keeps failing.
+//
+// closed    -> calls pass through; consecutive failures are counted
+// open      -> calls are rejected immediately until resetTimeoutMs has passed
+// half_open -> a single trial call is let through; success closes, failure re-opens
+import { AppError } from './errors.js';
+import logger from './logger.js';
+import { Gauge } from './metrics.js';
+
+const STATES = ['closed', 'open', 'half_open'];
+
+// Every breaker created, reported by the gauges below
+const breakers = [];
+
+new Gauge({
+    name: 'circuit_breaker_state',
+    help: 'Circuit breaker state, 1 for the state each circuit is in',
+    labelNames: ['circuit', 'state'],
+    collect: () => breakers.flatMap((breaker) => STATES.map((state) => ({
+        labels: { circuit: breaker.name, state },
+        value: breaker.state === state ? 1 : 0
+    })))
+});
+
+new Gauge({
+    name: 'circuit_breaker_failures',
+    help: 'Consecutive failures counted by each circuit breaker',
+    labelNames: ['circuit'],
+    collect: () => breakers.map((breaker) => ({ labels: { circuit: breaker.name }, value: breaker.failures }))
+});
+
+export class CircuitOpenError extends AppError {
+    constructor(name, retryAt) {
+        super(`${name} is unavailable (circuit open), retry after ${new Date(retryAt).toISOString()}`, {
+            status: 503,
+            code: 'onesignal_circuit_open'
+        });
+        this.retryAt = retryAt;
+        this.retryAfterMs = Math.max(retryAt - Date.now(), 0);
+    }
+}
+
+class CircuitBreaker {
+    constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000 }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        breakers.push(this);
+    }
+
+    // Run `fn` through the breaker; `isFailure(error)` decides which errors count against it
+    async exec(fn, isFailure = () => true) {
+        this.beforeCall();
+
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (isFailure(error)) {
+                this.onFailure();
+            } else {
+                // The upstream answered, so it is reachable even if it rejected this call
+                this.onSuccess();
+            }
+            throw error;
+        }
+    }
+
+    beforeCall() {
+        if (this.state === 'open') {
+            const retryAt = this.openedAt + this.resetTimeoutMs;
+            if (Date.now() < retryAt) {
+                throw new CircuitOpenError(this.name, retryAt);
+            }
+            this.state = 'half_open';
+        }
+
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(this.name, Date.now() + this.resetTimeoutMs);
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    onSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    onFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.warn('Circuit opened', { circuit: this.name, failures: this.failures });
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+        };
+    }
+}
+
+export default CircuitBreaker;
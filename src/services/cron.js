@@ -0,0 +1,149 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in any IANA timezone.
+//
+// Supports `*`, numbers, lists (1,15), ranges (1-5) and steps (*/15, 0-30/10). Day-of-week is 0-7 with
+// both 0 and 7 meaning Sunday. As in classic cron, when both day fields are restricted a day matching
+// either one is a match.
+
+export class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead to look for a match before deciding an expression never fires (e.g. "0 0 31 2 *")
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseField(source, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new CronError(`Invalid ${name} field: ${source}`);
+        }
+
+        const [, range, stepText] = match;
+        const step = stepText ? Number(stepText) : 1;
+        let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+        if (end === undefined) {
+            end = stepText ? max : start;
+        }
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new CronError(`Invalid ${name} field: ${source}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+export function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new CronError('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+const formatters = new Map();
+
+// Wall-clock fields of `date` in `timeZone`
+export function wallClock(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+
+    const parts = Object.fromEntries(
+        formatters.get(timeZone).formatToParts(date).map((part) => [part.type, part.value])
+    );
+
+    return {
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function dayMatches(schedule, clock) {
+    const domMatch = schedule.daysOfMonth.has(clock.day);
+    const dowMatch = schedule.daysOfWeek.has(clock.weekday);
+
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return domMatch && dowMatch;
+    }
+    return domMatch || dowMatch;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// The first time strictly after `after` that matches `expression` in `timeZone`
+export function nextCronRun(expression, after = new Date(), timeZone = 'UTC') {
+    const schedule = parseCron(expression);
+    const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * MINUTE_MS;
+
+    // Start at the next whole minute and skip whole hours that cannot match. Hours, not days,
+    // are skipped so days shortened or lengthened by DST changes are still walked correctly.
+    let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+    while (time <= limit) {
+        const clock = wallClock(new Date(time), timeZone);
+
+        if (!schedule.months.has(clock.month) || !dayMatches(schedule, clock) || !schedule.hours.has(clock.hour)) {
+            time += (60 - clock.minute) * MINUTE_MS;
+        } else if (!schedule.minutes.has(clock.minute)) {
+            time += MINUTE_MS;
+        } else {
+            return new Date(time);
+        }
+    }
+
+    throw new CronError(`Cron expression never fires: ${expression}`);
+}
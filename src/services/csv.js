@@ -0,0 +1,97 @@
+// Minimal RFC 4180 CSV reading and writing: comma separated, double-quoted fields with "" for a
+// quote, CRLF or LF line endings, and line breaks inside quoted fields.
+
+export class CsvError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvError';
+    }
+}
+
+// Split CSV text into rows of fields
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let quoteLine = 0;
+
+    // A byte order mark from spreadsheet exports is not part of the first header
+    const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            line++;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new CsvError(`Unclosed quoted field starting on line ${quoteLine}`);
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no record
+    return rows.filter((fields) => fields.length > 1 || fields[0] !== '');
+}
+
+// Parse CSV with a header line into one object per record, keyed by the trimmed header names
+export function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new CsvError('CSV has no header line');
+    }
+
+    const columns = header.map((name) => name.trim());
+    const duplicate = columns.find((name, index) => columns.indexOf(name) !== index);
+    if (duplicate) {
+        throw new CsvError(`Column ${duplicate} appears more than once in the header`);
+    }
+
+    return rows.map((fields) => Object.fromEntries(columns.map((name, index) => [name, fields[index] ?? ''])));
+}
+
+const escapeField = (value) => {
+    const text = value === null || value === undefined
+        ? ''
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write objects as CSV with the given columns, header first
+export function toCsv(columns, records) {
+    return [columns, ...records.map((record) => columns.map((column) => record[column]))]
+        .map((fields) => fields.map(escapeField).join(','))
+        .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,178 @@
+// Ingestion and aggregation of OneSignal delivery/engagement webhook events
+import crypto from 'crypto';
+import deliveryEvents from '../stores/deliveryEvents.js';
+import outbox from '../stores/outbox.js';
+
+// OneSignal names the same event differently across web push webhooks and event streams
+const EVENT_ALIASES = {
+    displayed: ['display', 'displayed', 'notification.displayed', 'notification.display', 'push.displayed'],
+    clicked: ['click', 'clicked', 'notification.clicked', 'notification.click', 'push.clicked', 'email.clicked'],
+    dismissed: ['dismiss', 'dismissed', 'notification.dismissed', 'notification.dismiss', 'push.dismissed'],
+    opened: ['open', 'opened', 'email.opened', 'email.open'],
+    bounced: ['bounce', 'bounced', 'email.bounced', 'email.bounce', 'hard_bounce', 'soft_bounce'],
+    unsubscribed: ['unsubscribe', 'unsubscribed', 'email.unsubscribed', 'email.unsubscribe'],
+    delivered: ['delivered', 'email.delivered', 'push.delivered']
+};
+
+export const EVENT_TYPES = Object.keys(EVENT_ALIASES);
+
+const canonicalType = (name) => {
+    const normalized = String(name || '').toLowerCase().replace(/\s+/g, '.');
+    return EVENT_TYPES.find((type) => EVENT_ALIASES[type].includes(normalized)) || null;
+};
+
+const firstOf = (...values) => values.find((value) => value !== undefined && value !== null && value !== '') ?? null;
+
+// Accept unix seconds, unix milliseconds or ISO strings
+function toIsoTime(value) {
+    if (value === null) {
+        return new Date().toISOString();
+    }
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+        return new Date(number < 1e12 ? number * 1000 : number).toISOString();
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? new Date().toISOString() : new Date(parsed).toISOString();
+}
+
+// Map one raw webhook event onto our event shape; null when the event type is unknown
+export function normalizeEvent(raw) {
+    const type = canonicalType(firstOf(raw.event, raw.type, raw.event_type, raw.kind));
+    if (!type) {
+        return null;
+    }
+
+    // OneSignal may redeliver a webhook; the same payload always hashes to the same id
+    const id = firstOf(raw.event_id, raw.eventId) || crypto.createHash('sha256').update(JSON.stringify(raw)).digest('hex');
+
+    return {
+        id,
+        type,
+        notificationId: firstOf(raw.notification_id, raw.notificationId, raw.message_id, raw.id),
+        externalId: firstOf(raw.external_id, raw.externalId, raw.userId),
+        subscriptionId: firstOf(raw.subscription_id, raw.subscriptionId, raw.player_id),
+        email: firstOf(raw.email, raw.email_address),
+        url: firstOf(raw.url, raw.link),
+        occurredAt: toIsoTime(firstOf(raw.timestamp, raw.occurred_at, raw.time))
+    };
+}
+
+// Store a batch of raw events against their outgoing notification records
+export async function ingestEvents(rawEvents) {
+    const summary = { accepted: 0, duplicates: 0, unmatched: 0, ignored: 0 };
+
+    for (const raw of rawEvents) {
+        const event = normalizeEvent(raw);
+
+        if (!event) {
+            summary.ignored++;
+            continue;
+        }
+        if (deliveryEvents.has(event.id)) {
+            summary.duplicates++;
+            continue;
+        }
+
+        const record = event.notificationId ? outbox.findByNotificationId(event.notificationId) : null;
+        if (!record) {
+            summary.unmatched++;
+        }
+
+        await deliveryEvents.add({
+            ...event,
+            outboxId: record?.id || null,
+            channel: record?.channel || null,
+            receivedAt: new Date().toISOString()
+        });
+        summary.accepted++;
+    }
+
+    return summary;
+}
+
+// Unique subscribers per event type; repeated clicks by one person count once
+function uniqueCounts(events) {
+    const seen = Object.fromEntries(EVENT_TYPES.map((type) => [type, new Set()]));
+
+    for (const event of events) {
+        const who = event.externalId || event.email || event.subscriptionId || event.id;
+        seen[event.type].add(`${event.notificationId}:${who}`);
+    }
+
+    return Object.fromEntries(EVENT_TYPES.map((type) => [type, seen[type].size]));
+}
+
+const rate = (count, total) => (total > 0 ? Number((count / total).toFixed(4)) : null);
+
+const GROUP_KEYS = {
+    campaign: (record) => record.campaign || '(none)',
+    segment: (record) => record.segment || '(direct)',
+    day: (record) => record.createdAt.slice(0, 10)
+};
+
+// Open rate and click-through per campaign, segment or day of send
+export function aggregateEngagement({ groupBy, channel, from, to }) {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+
+    const eventsByOutboxId = new Map();
+    for (const event of deliveryEvents.all()) {
+        if (event.outboxId) {
+            if (!eventsByOutboxId.has(event.outboxId)) {
+                eventsByOutboxId.set(event.outboxId, []);
+            }
+            eventsByOutboxId.get(event.outboxId).push(event);
+        }
+    }
+
+    const groups = new Map();
+    for (const record of outbox.records) {
+        const createdAt = Date.parse(record.createdAt);
+        if (record.status !== 'sent' || (channel && record.channel !== channel)) continue;
+        if (createdAt < fromTime || createdAt > toTime) continue;
+
+        const key = GROUP_KEYS[groupBy](record);
+        if (!groups.has(key)) {
+            groups.set(key, { key, notifications: 0, recipients: 0, events: [] });
+        }
+
+        const group = groups.get(key);
+        group.notifications++;
+        group.recipients += record.recipients || 0;
+        group.events.push(...(eventsByOutboxId.get(record.id) || []));
+    }
+
+    return [...groups.values()]
+        .map(({ key, notifications, recipients, events }) => {
+            const counts = uniqueCounts(events);
+            return {
+                [groupBy]: key,
+                notifications,
+                recipients,
+                ...counts,
+                openRate: rate(counts.opened, recipients),
+                clickThroughRate: rate(counts.clicked, recipients)
+            };
+        })
+        .sort((a, b) => String(a[groupBy]).localeCompare(String(b[groupBy])));
+}
+
+// Event counts and timeline for one notification
+export function notificationEngagement(notificationId) {
+    const record = outbox.findByNotificationId(notificationId);
+    const events = deliveryEvents.forNotification(notificationId);
+    const counts = uniqueCounts(events);
+
+    return {
+        notificationId,
+        channel: record?.channel || null,
+        campaign: record?.campaign || null,
+        segment: record?.segment || null,
+        recipients: record?.recipients ?? null,
+        ...counts,
+        openRate: rate(counts.opened, record?.recipients),
+        clickThroughRate: rate(counts.clicked, record?.recipients),
+        events
+    };
+}
@@ -0,0 +1,121 @@
+// Errors that carry the HTTP status and stable error code they are answered with.
+//
+// OneSignal failures are classified where the API is called, so routes answer a bad segment with
+// 400 and a rejected API key with 502 instead of a blanket 500:
+//
+//   OneSignalError                    upstream status   ours   code
+//   ├── OneSignalBadRequestError      400, 422          400    onesignal_bad_request
+//   ├── OneSignalAuthError            401, 403          502    onesignal_auth_failed
+//   ├── OneSignalNotFoundError        404               404    onesignal_not_found
+//   ├── OneSignalConflictError        409               409    onesignal_conflict
+//   ├── OneSignalRateLimitError       429               429    onesignal_rate_limited
+//   ├── OneSignalUnavailableError     5xx, no answer    502    onesignal_unavailable
+//   └── OneSignalTimeoutError         timed out         504    onesignal_timeout
+//
+// The circuit breaker's CircuitOpenError is an AppError too (503, onesignal_circuit_open).
+import { parseRetryAfter } from './retry.js';
+
+export class AppError extends Error {
+    constructor(message, { status = 500, code = 'internal_error' } = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// `response` is the upstream reply, kept so callers can still read OneSignal's own error details
+export class OneSignalError extends AppError {
+    constructor(message, { status = 502, code = 'onesignal_error', response = null } = {}) {
+        super(message, { status, code });
+        this.response = response;
+        this.upstreamStatus = response?.status ?? null;
+        this.upstreamErrors = response?.data?.errors ?? null;
+    }
+}
+
+export class OneSignalBadRequestError extends OneSignalError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 400, code: 'onesignal_bad_request' });
+    }
+}
+
+export class OneSignalAuthError extends OneSignalError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 502, code: 'onesignal_auth_failed' });
+    }
+}
+
+export class OneSignalNotFoundError extends OneSignalError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 404, code: 'onesignal_not_found' });
+    }
+}
+
+export class OneSignalConflictError extends OneSignalError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 409, code: 'onesignal_conflict' });
+    }
+}
+
+export class OneSignalRateLimitError extends OneSignalError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 429, code: 'onesignal_rate_limited' });
+        this.retryAfterMs = parseRetryAfter(options.response?.headers?.['retry-after']);
+    }
+}
+
+export class OneSignalUnavailableError extends OneSignalError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 502, code: 'onesignal_unavailable' });
+    }
+}
+
+export class OneSignalTimeoutError extends OneSignalError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 504, code: 'onesignal_timeout' });
+    }
+}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// OneSignal reports errors as a list of strings, a list of { title } objects or an object of lists
+function upstreamMessage(data) {
+    const errors = data?.errors;
+    if (Array.isArray(errors) && errors.length > 0) {
+        const [first] = errors;
+        return typeof first === 'string' ? first : first?.title || first?.message || JSON.stringify(first);
+    }
+    if (errors && typeof errors === 'object') {
+        return Object.entries(errors)
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : JSON.stringify(value)}`)
+            .join('; ');
+    }
+    return typeof errors === 'string' ? errors : null;
+}
+
+// Turn a failed OneSignal call (an axios error) into the matching OneSignalError
+export function toOneSignalError(error) {
+    if (error instanceof AppError) {
+        return error;
+    }
+
+    const response = error.response;
+    const status = response?.status;
+
+    if (!status) {
+        const ErrorClass = TIMEOUT_CODES.includes(error.code) ? OneSignalTimeoutError : OneSignalUnavailableError;
+        return new ErrorClass(`OneSignal did not answer: ${error.message}`);
+    }
+
+    const message = upstreamMessage(response.data) || `OneSignal answered ${status}`;
+    const options = { response };
+
+    if (status === 400 || status === 422) return new OneSignalBadRequestError(message, options);
+    if (status === 401 || status === 403) return new OneSignalAuthError(message, options);
+    if (status === 404) return new OneSignalNotFoundError(message, options);
+    if (status === 409) return new OneSignalConflictError(message, options);
+    if (status === 429) return new OneSignalRateLimitError(message, options);
+    if (status >= 500) return new OneSignalUnavailableError(message, options);
+    return new OneSignalError(message, options);
+}
@@ -0,0 +1,123 @@
+// Frequency caps and duplicate suppression for push, email and SMS sends to one recipient: a user
+// by external id, an email address or a phone number.
+//
+// Caps are configured as JSON in FREQUENCY_CAPS:
+//   [{ "category": "marketing", "channel": "push", "limit": 3, "windowHours": 24 }]
+// A rule without a category or channel counts every category or channel together. Each user's
+// sends are counted separately, from the local outbox, so failed and suppressed sends do not count.
+//
+// With DEDUP_WINDOW_SECONDS set, a send with the same content as one the same user was sent within
+// that window is suppressed as a duplicate.
+//
+// Checks run in OneSignalService.dispatch for every send to one recipient, whichever route, scheduled
+// job, message fallback or journey makes it. Sends to many recipients at once (batch and segment sends)
+// are not capped: their recipients are counted, but one notification cannot be suppressed per user.
+import 'dotenv/config';
+import crypto from 'crypto';
+import outbox from '../stores/outbox.js';
+import { CATEGORIES, defaultCategory } from './preferences.js';
+
+const CHANNELS = ['push', 'email', 'sms'];
+
+function loadCaps() {
+    const raw = process.env.FREQUENCY_CAPS;
+    if (!raw) {
+        return [];
+    }
+
+    const rules = JSON.parse(raw);
+    if (!Array.isArray(rules)) {
+        throw new Error('FREQUENCY_CAPS must be a JSON array');
+    }
+
+    return rules.map((rule) => {
+        if (!Number.isInteger(rule.limit) || rule.limit < 1 || !(rule.windowHours > 0)) {
+            throw new Error('Each frequency cap needs a positive integer limit and a positive windowHours');
+        }
+        if (rule.category && !CATEGORIES.includes(rule.category)) {
+            throw new Error(`Unknown frequency cap category: ${rule.category}`);
+        }
+        if (rule.channel && !CHANNELS.includes(rule.channel)) {
+            throw new Error(`Unknown frequency cap channel: ${rule.channel}`);
+        }
+        return {
+            category: rule.category || null,
+            channel: rule.channel || null,
+            limit: rule.limit,
+            windowHours: rule.windowHours
+        };
+    });
+}
+
+const caps = loadCaps();
+
+export const frequencyCaps = () => caps;
+
+const dedupWindowSeconds = () => Number(process.env.DEDUP_WINDOW_SECONDS) || 0;
+
+// Payload fields that make up what the recipient sees; scheduling and bookkeeping fields are left out
+const CONTENT_FIELDS = [
+    'target_channel',
+    'include_aliases',
+    'include_email_tokens',
+    'include_phone_numbers',
+    'headings',
+    'contents',
+    'data',
+    'email_subject',
+    'email_body'
+];
+
+export function contentHash(payload) {
+    const content = CONTENT_FIELDS.map((field) => payload[field] ?? null);
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Why a send to `recipient` ({ userId, email, phoneNumber }) should be suppressed, or null when it may go out:
+//   { reason: 'frequency_cap' | 'duplicate', message }
+export function checkFrequency({ channel, recipient, category = defaultCategory(), hash }) {
+    const now = Date.now();
+
+    const window = dedupWindowSeconds();
+    if (window > 0) {
+        const since = new Date(now - window * 1000).toISOString();
+        const duplicate = outbox.sentTo(recipient, { since }).some((record) => record.contentHash === hash);
+        if (duplicate) {
+            return {
+                reason: 'duplicate',
+                message: `The same ${channel} content was sent to this recipient within the last ${window} seconds`
+            };
+        }
+    }
+
+    for (const rule of caps) {
+        if ((rule.category && rule.category !== category) || (rule.channel && rule.channel !== channel)) {
+            continue;
+        }
+
+        const since = new Date(now - rule.windowHours * 3600 * 1000).toISOString();
+        const sent = outbox.sentTo(recipient, { since }).filter((record) =>
+            (!rule.channel || record.channel === rule.channel) &&
+            (!rule.category || (record.category || defaultCategory()) === rule.category)
+        ).length;
+
+        if (sent >= rule.limit) {
+            const scope = [rule.category, rule.channel].filter(Boolean).join(' ') || 'all';
+            return {
+                reason: 'frequency_cap',
+                message: `Frequency cap reached: at most ${rule.limit} ${scope} messages per ${rule.windowHours} hours`
+            };
+        }
+    }
+
+    return null;
+}
+
+// Response body for a send that was suppressed instead of sent
+export const suppressedResponse = (label, result) => ({
+    message: `${label} suppressed: ${result.errors[0]}`,
+    status: 'suppressed',
+    reason: result.reason,
+    notificationId: null,
+    success: false
+});
@@ -0,0 +1,114 @@
+// Readiness checks: whether this instance can take traffic. Each component reports its status and
+// how long the check took:
+//
+//   onesignal  the app id and API key are accepted (a probe cached for HEALTH_PROBE_TTL_SECONDS)
+//   stores     the data directory can be written to
+//   scheduler  the scheduler is running and has polled recently
+//
+// An instance that is shutting down is never ready, so load balancers stop sending it requests.
+import OneSignalService from './onesignal.js';
+import scheduler from './scheduler.js';
+import { checkDataDir } from '../stores/jsonLinesFile.js';
+import jobs from '../stores/scheduledJobs.js';
+
+const probeTtlMs = () => (Number(process.env.HEALTH_PROBE_TTL_SECONDS) || 60) * 1000;
+
+const schedulerPollMs = () => Number(process.env.SCHEDULER_POLL_MS) || 15000;
+
+let shuttingDown = false;
+
+export const markShuttingDown = () => {
+    shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+// Time `check`, which resolves to the component's details or throws when it is down
+async function timed(check) {
+    const started = Date.now();
+    try {
+        const details = await check();
+        return { status: details.status || 'up', latencyMs: Date.now() - started, ...details };
+    } catch (error) {
+        return { status: 'down', latencyMs: Date.now() - started, error: error.message };
+    }
+}
+
+// The last OneSignal probe, reused by every check until it expires so readiness polls do not each
+// call OneSignal; concurrent checks share one probe
+let probe = null;
+
+async function checkOneSignal(provider) {
+    const cached = Boolean(probe) && Date.now() - probe.startedAt <= probeTtlMs();
+    if (!cached) {
+        probe = { startedAt: Date.now(), result: provider.probe() };
+    }
+
+    const { startedAt, result } = probe;
+    const { success, error, code } = await result;
+    return {
+        status: success ? 'up' : 'down',
+        provider: provider.name,
+        cached,
+        checkedAt: new Date(startedAt).toISOString(),
+        circuit: OneSignalService.circuitBreaker.getState().state,
+        ...(success ? {} : { error, code })
+    };
+}
+
+async function checkStores() {
+    await checkDataDir();
+    return { status: 'up' };
+}
+
+// The scheduler polls at least every SCHEDULER_POLL_MS; missing several polls in a row means it is stuck
+async function checkScheduler() {
+    const lastTickAt = scheduler.lastTickAt;
+    const running = Boolean(scheduler.provider) && !scheduler.stopped;
+    const stale = !lastTickAt || Date.now() - Date.parse(lastTickAt) > schedulerPollMs() * 3;
+    const now = Date.now();
+    const overdueJobs = jobs.list({ status: 'scheduled' })
+        .filter((job) => now - Date.parse(job.nextAttemptAt) > schedulerPollMs() * 3)
+        .length;
+
+    return {
+        status: running && (!stale || scheduler.ticking) ? 'up' : 'down',
+        lastTickAt,
+        pendingJobs: jobs.list({ status: 'scheduled' }).length,
+        overdueJobs
+    };
+}
+
+// Every component's check, run side by side
+async function runChecks(provider) {
+    const [onesignal, stores, schedulerCheck] = await Promise.all([
+        timed(() => checkOneSignal(provider)),
+        timed(checkStores),
+        timed(checkScheduler)
+    ]);
+    return { onesignal, stores, scheduler: schedulerCheck };
+}
+
+// The checks of the last readiness report, reused by cachedReadiness()
+let lastReport = null;
+
+const toReport = (checks) => ({
+    ready: !shuttingDown && Object.values(checks).every((check) => check.status === 'up'),
+    shuttingDown,
+    checks
+});
+
+export async function readiness(provider) {
+    const checks = runChecks(provider);
+    lastReport = { checkedAt: Date.now(), checks };
+    return toReport(await checks);
+}
+
+// The last readiness report while it is younger than HEALTH_PROBE_TTL_SECONDS, for endpoints polled
+// often enough that running every check each time would be wasted work
+export async function cachedReadiness(provider) {
+    if (!lastReport || Date.now() - lastReport.checkedAt > probeTtlMs()) {
+        return readiness(provider);
+    }
+    return { ...toReport(await lastReport.checks), cached: true };
+}
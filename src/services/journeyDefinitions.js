@@ -0,0 +1,308 @@
+// Local journey definitions: multi-step drip sequences kept as JSON files in JOURNEYS_DIR, so they
+// are version-controlled with the code. One journey per file:
+//
+//   {
+//       "id": "onboarding",
+//       "name": "Onboarding",
+//       "category": "marketing",
+//       "steps": [
+//           { "id": "welcome", "type": "email", "subject": "Welcome {{first_name}}", "body": "<p>Hi!</p>" },
+//           { "id": "wait-1d", "type": "wait", "amount": 1, "unit": "days" },
+//           { "id": "opened", "type": "branch", "if": { "engagement": "opened", "step": "welcome" }, "then": null, "else": "nudge" },
+//           { "id": "nudge", "type": "push", "title": "Getting started", "body": "Three tips for your first week" }
+//       ]
+//   }
+//
+// Steps run in order; `next` jumps to another step and `"next": null` ends the journey. A branch
+// goes to `then` or `else` (ending the journey when that is null or left out) depending on a user
+// tag ({ "tag": "plan", "equals": "pro" } or { "tag": "plan", "exists": true }) or on whether an
+// earlier send step's notification was delivered, opened or clicked. Send content is rendered with
+// the template language against the user's tags, the run's properties and externalId.
+//
+// Every file is validated when the service starts; an invalid journey stops startup.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from '../middleware/validation.js';
+import { EVENT_TYPES } from './engagement.js';
+import { toSeconds } from './notificationProvider.js';
+import { CATEGORIES, checkPreferences, defaultCategory } from './preferences.js';
+import { parse, renderTemplate } from './templateEngine.js';
+
+export const journeysDir = () => process.env.JOURNEYS_DIR || 'journeys';
+
+export const SEND_STEPS = ['push', 'email'];
+
+const WAIT_UNITS = ['seconds', 'minutes', 'hours', 'days', 'weeks'];
+
+const idField = {
+    type: 'string',
+    required: true,
+    pattern: /^[A-Za-z0-9][\w-]{0,63}$/,
+    patternMessage: 'id may only contain letters, digits, "_" and "-" (at most 64)'
+};
+
+// Content must parse as a template
+const contentField = {
+    type: 'string',
+    required: true,
+    nonEmpty: true,
+    custom: (value) => {
+        try {
+            parse(value);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+};
+
+function conditionError(condition) {
+    if (condition.tag !== undefined) {
+        if (typeof condition.tag !== 'string' || !condition.tag) {
+            return 'if.tag must be a tag key';
+        }
+        if ((condition.equals === undefined) === (condition.exists === undefined)) {
+            return 'A tag condition needs exactly one of equals or exists';
+        }
+        if (condition.exists !== undefined && typeof condition.exists !== 'boolean') {
+            return 'if.exists must be a boolean';
+        }
+        return null;
+    }
+
+    if (condition.engagement !== undefined) {
+        if (!EVENT_TYPES.includes(condition.engagement)) {
+            return `if.engagement must be one of: ${EVENT_TYPES.join(', ')}`;
+        }
+        return typeof condition.step === 'string' ? null : 'An engagement condition needs the step whose send it checks';
+    }
+
+    return 'if must test a tag or engagement';
+}
+
+const definitionSchema = {
+    fields: {
+        id: idField,
+        name: { type: 'string', nonEmpty: true },
+        description: { type: 'string' },
+        category: { type: 'string', enum: CATEGORIES },
+        steps: { type: 'array', required: true, minLength: 1, items: { type: 'object' } }
+    }
+};
+
+const STEP_SCHEMAS = {
+    push: {
+        fields: { id: idField, title: contentField, body: contentField, data: { type: 'object' }, next: { type: 'string' } }
+    },
+    email: {
+        fields: { id: idField, subject: contentField, body: contentField, next: { type: 'string' } }
+    },
+    wait: {
+        fields: {
+            id: idField,
+            amount: { type: 'number', required: true, positive: true },
+            unit: { type: 'string', required: true, enum: WAIT_UNITS },
+            next: { type: 'string' }
+        }
+    },
+    branch: {
+        fields: {
+            id: idField,
+            if: { type: 'object', required: true, custom: conditionError },
+            then: { type: 'string' },
+            else: { type: 'string' }
+        }
+    }
+};
+
+export const findStep = (definition, id) => definition.steps.find((step) => step.id === id) || null;
+
+// The step after a push, email or wait step; null ends the journey
+export function nextStepId(definition, step) {
+    if (step.next !== undefined) {
+        return step.next;
+    }
+    const index = definition.steps.indexOf(step);
+    return definition.steps[index + 1]?.id ?? null;
+}
+
+export const branchTarget = (step, result) => (result ? step.then : step.else) ?? null;
+
+const successors = (definition, step) => (step.type === 'branch'
+    ? [step.then, step.else].filter((id) => id !== undefined && id !== null)
+    : [nextStepId(definition, step)].filter((id) => id !== null));
+
+// Whether following the steps can come back to one already visited
+function hasCycle(definition) {
+    const state = new Map();
+
+    const visit = (id) => {
+        if (state.get(id) === 'done') {
+            return false;
+        }
+        if (state.get(id) === 'visiting') {
+            return true;
+        }
+        state.set(id, 'visiting');
+        const cyclic = successors(definition, findStep(definition, id)).some(visit);
+        state.set(id, 'done');
+        return cyclic;
+    };
+
+    return definition.steps.some((step) => visit(step.id));
+}
+
+// Structural checks across steps, once every step is valid on its own
+function checkSteps(definition) {
+    const errors = [];
+    const ids = new Set();
+
+    definition.steps.forEach((step, index) => {
+        const field = `steps[${index}]`;
+
+        if (ids.has(step.id)) {
+            errors.push({ field: `${field}.id`, message: `Step id ${step.id} is used more than once` });
+        }
+        ids.add(step.id);
+
+        for (const key of ['next', 'then', 'else']) {
+            if (typeof step[key] === 'string' && !findStep(definition, step[key])) {
+                errors.push({ field: `${field}.${key}`, message: `No step with id ${step[key]}` });
+            }
+        }
+
+        if (step.type === 'branch' && step.if.engagement !== undefined) {
+            const target = findStep(definition, step.if.step);
+            if (!target || !SEND_STEPS.includes(target.type)) {
+                errors.push({ field: `${field}.if.step`, message: `${step.if.step} is not a push or email step` });
+            }
+        }
+    });
+
+    if (errors.length === 0 && hasCycle(definition)) {
+        errors.push({ field: 'steps', message: 'Steps must not loop back to an earlier step' });
+    }
+
+    return errors;
+}
+
+// Every problem with a journey definition, as { field, message }
+export function validateDefinition(definition) {
+    const errors = validateSchema(definitionSchema, definition);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    definition.steps.forEach((step, index) => {
+        const schema = STEP_SCHEMAS[step.type];
+        if (!schema) {
+            errors.push({
+                field: `steps[${index}].type`,
+                message: `steps[${index}].type must be one of: ${Object.keys(STEP_SCHEMAS).join(', ')}`
+            });
+            return;
+        }
+        errors.push(...validateSchema(schema, step).map((error) => ({ ...error, field: `steps[${index}].${error.field}` })));
+    });
+
+    return errors.length > 0 ? errors : checkSteps(definition);
+}
+
+// Read and validate every *.json file in JOURNEYS_DIR; the id defaults to the file name
+function loadDefinitions() {
+    const dir = journeysDir();
+    if (!fs.existsSync(dir)) {
+        return new Map();
+    }
+
+    const definitions = new Map();
+
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json')).sort()) {
+        const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const definition = { id: path.basename(file, '.json'), ...raw };
+
+        const errors = validateDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid journey ${file}: ${errors.map((error) => `${error.field}: ${error.message}`).join('; ')}`);
+        }
+        if (definitions.has(definition.id)) {
+            throw new Error(`Journey id ${definition.id} is defined more than once (${file})`);
+        }
+
+        definitions.set(definition.id, { ...definition, category: definition.category || defaultCategory() });
+    }
+
+    return definitions;
+}
+
+const definitions = loadDefinitions();
+
+export const journeyDefinitions = () => [...definitions.values()];
+
+export const getJourneyDefinition = (id) => definitions.get(id) || null;
+
+export const waitSeconds = (step) => toSeconds(step.amount, step.unit);
+
+// Whether a branch condition holds; `engaged(stepId, eventType)` answers engagement conditions
+export function evaluateCondition(condition, { tags = {}, engaged }) {
+    if (condition.tag !== undefined) {
+        const value = tags[condition.tag];
+        const present = value !== undefined && value !== null && value !== '';
+        if (condition.exists !== undefined) {
+            return present === condition.exists;
+        }
+        return present && String(value) === String(condition.equals);
+    }
+
+    return engaged(condition.step, condition.engagement);
+}
+
+// The variables send content is rendered with
+export const journeyVariables = ({ externalId, tags = {}, properties = {} }) => ({ ...tags, ...properties, externalId });
+
+// Rendered title/subject and body of a push or email step
+export const renderStep = (step, variables) =>
+    renderTemplate({ ...step, channel: step.type, defaults: {} }, variables).rendered;
+
+// The timeline a user would go through, without sending anything. Branches see `tags` and treat the
+// sends listed in `engagement` ({ stepId: ['opened'] }) as engaged. With an externalId, each send
+// is checked against the user's notification preferences at the time it would go out.
+export function dryRun(definition, { externalId = null, tags = {}, properties = {}, engagement = {}, startAt = new Date() } = {}) {
+    const variables = journeyVariables({ externalId, tags, properties });
+    const engaged = (stepId, type) => (engagement[stepId] || []).includes(type);
+    const timeline = [];
+    let at = new Date(startAt);
+    let stepId = definition.steps[0].id;
+
+    while (stepId) {
+        const step = findStep(definition, stepId);
+        const entry = { at: at.toISOString(), step: step.id, type: step.type };
+
+        if (step.type === 'wait') {
+            at = new Date(at.getTime() + waitSeconds(step) * 1000);
+            entry.until = at.toISOString();
+            stepId = nextStepId(definition, step);
+        } else if (step.type === 'branch') {
+            const result = evaluateCondition(step.if, { tags, engaged });
+            stepId = branchTarget(step, result);
+            Object.assign(entry, { result: result ? 'then' : 'else', next: stepId });
+        } else {
+            Object.assign(entry, { action: 'send', content: renderStep(step, variables) });
+            if (externalId) {
+                const verdict = checkPreferences({ userId: externalId }, { channel: step.type, category: definition.category, at });
+                if (verdict.action === 'reject') {
+                    Object.assign(entry, { action: 'skip', reason: verdict.message });
+                } else if (verdict.action === 'defer') {
+                    Object.assign(entry, { action: 'defer', sendAt: verdict.until, reason: verdict.message });
+                }
+            }
+            stepId = nextStepId(definition, step);
+        }
+
+        timeline.push(entry);
+    }
+
+    timeline.push({ at: at.toISOString(), step: null, type: 'end' });
+    return timeline;
+}
@@ -0,0 +1,328 @@
+// Runs users through local journey definitions, one run per user and journey.
+//
+// Runs live in the journey run store, so progress survives restarts. A run takes its steps one after
+// another until it reaches a wait, then sleeps until the wait is over. Each send carries an
+// idempotency key for its run and step, so a step interrupted by a crash is not delivered twice.
+//
+// Sends go through the provider's push and email methods like any other send: steps the user's
+// preferences opt out of are skipped, sends that would land in quiet hours are scheduled for when
+// they end, and frequency caps apply.
+import { toOneSignalKey } from '../middleware/idempotency.js';
+import {
+    branchTarget,
+    evaluateCondition,
+    findStep,
+    getJourneyDefinition,
+    journeyVariables,
+    nextStepId,
+    renderStep,
+    waitSeconds
+} from './journeyDefinitions.js';
+import { findSubscription } from './orchestrator.js';
+import { checkPreferences } from './preferences.js';
+import logger from './logger.js';
+import deliveryEvents from '../stores/deliveryEvents.js';
+import runs from '../stores/journeyRuns.js';
+
+const pollIntervalMs = () => Number(process.env.JOURNEYS_POLL_MS) || 15000;
+
+const maxAttempts = () => Number(process.env.JOURNEY_MAX_ATTEMPTS) || 5;
+
+const isNotFound = (error) => error.response?.status === 404;
+
+// Send a step's rendered content, at `sendAt` when it is set
+const SENDERS = {
+    push: (provider, { userId, content, data }, subscription, sendAt, context) => {
+        const params = { userId, title: content.title, body: content.body, data };
+        return sendAt
+            ? provider.sendDelayedPushNotification({ ...params, sendAt }, context)
+            : provider.sendPushNotification(params, context);
+    },
+    email: (provider, { userId, content }, subscription, sendAt, context) => {
+        const params = { email: subscription.token, subject: content.subject, body: content.body, userId };
+        return sendAt ? provider.sendDelayedEmail({ ...params, sendAt }, context) : provider.sendEmail(params, context);
+    }
+};
+
+class JourneyEngine {
+    constructor() {
+        this.provider = null;
+        this.timer = null;
+        this.ticking = null;
+        this.stopped = false;
+        this.lastTickAt = null;
+    }
+
+    // Start running due journey steps through `provider`
+    start(provider) {
+        this.provider = provider;
+        this.stopped = false;
+        logger.info('Journey engine started', { activeRuns: runs.list({ status: 'active' }).length });
+        this.tick();
+    }
+
+    // Stop polling; resolves once the journey steps being sent have finished
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.ticking;
+    }
+
+    // Start a run for each user. Users with an unfinished run of the journey keep it.
+    async enroll(definition, externalIds, { properties = {}, caller = null }) {
+        const results = [];
+
+        for (const externalId of externalIds) {
+            const existing = runs.current(definition.id, externalId);
+            if (existing) {
+                results.push({ externalId, status: 'already_running', run: existing });
+                continue;
+            }
+
+            const run = await runs.create({
+                journey: definition.id,
+                externalId,
+                properties,
+                caller,
+                currentStep: definition.steps[0].id,
+                nextRunAt: new Date().toISOString()
+            });
+            results.push({ externalId, status: 'started', run });
+        }
+
+        const started = results.filter((result) => result.status === 'started').length;
+        logger.info('Journey started', { journey: definition.id, started, total: externalIds.length });
+        this.arm();
+
+        return {
+            summary: { total: results.length, started, alreadyRunning: results.length - started },
+            results
+        };
+    }
+
+    // Returns null when the run does not exist or is not active
+    async pause(id) {
+        const run = runs.get(id);
+        if (!run || run.status !== 'active') {
+            return null;
+        }
+
+        return runs.update(id, { status: 'paused', pausedAt: new Date().toISOString() });
+    }
+
+    // Waits keep their original end; a run whose wait ended while paused goes on straight away.
+    // Returns null when the run does not exist or is not paused.
+    async resume(id) {
+        const run = runs.get(id);
+        if (!run || run.status !== 'paused') {
+            return null;
+        }
+
+        const resumed = await runs.update(id, { status: 'active', pausedAt: null });
+        this.arm();
+        return resumed;
+    }
+
+    // Returns null when the run does not exist or has already finished
+    async cancel(id) {
+        const run = runs.get(id);
+        if (!run || !['active', 'paused'].includes(run.status)) {
+            return null;
+        }
+
+        return runs.update(id, { status: 'cancelled', endedAt: new Date().toISOString() });
+    }
+
+    // Whether the notification sent at `stepId` in this run has an engagement event of `type`
+    engaged(run, stepId, type) {
+        const sent = [...run.history].reverse().find((entry) => entry.step === stepId && entry.notificationId);
+        return Boolean(sent) && deliveryEvents.forNotification(sent.notificationId).some((event) => event.type === type);
+    }
+
+    // Take the run's steps until it reaches a wait or the end of the journey
+    async advance(run) {
+        const definition = getJourneyDefinition(run.journey);
+        if (!definition) {
+            return this.finish(run, 'failed', `Journey ${run.journey} is no longer defined`);
+        }
+
+        let user;
+        try {
+            user = await this.provider.getUser(run.externalId);
+        } catch (error) {
+            if (isNotFound(error)) {
+                return this.finish(run, 'failed', 'User no longer exists');
+            }
+            return this.retry(run, error);
+        }
+
+        let current = run;
+        while (current.currentStep) {
+            const step = findStep(definition, current.currentStep);
+            if (!step) {
+                return this.finish(current, 'failed', `Step ${current.currentStep} is no longer in journey ${definition.id}`);
+            }
+
+            const at = new Date().toISOString();
+            let entry;
+            let next;
+            let nextRunAt = current.nextRunAt;
+
+            if (step.type === 'wait') {
+                nextRunAt = new Date(Date.now() + waitSeconds(step) * 1000).toISOString();
+                entry = { step: step.id, type: 'wait', status: 'waiting', until: nextRunAt, at };
+                next = nextStepId(definition, step);
+            } else if (step.type === 'branch') {
+                const result = evaluateCondition(step.if, {
+                    tags: user.properties?.tags || {},
+                    engaged: (stepId, type) => this.engaged(current, stepId, type)
+                });
+                next = branchTarget(step, result);
+                entry = { step: step.id, type: 'branch', status: result ? 'then' : 'else', next, at };
+            } else {
+                try {
+                    entry = { step: step.id, type: step.type, ...(await this.send(current, definition, step, user)), at };
+                } catch (error) {
+                    return this.retry(current, error);
+                }
+                next = nextStepId(definition, step);
+            }
+
+            // A pause or cancel that came in while the step ran is kept; the step itself is recorded
+            const status = runs.get(current.id).status;
+            current = await runs.update(current.id, {
+                currentStep: next,
+                nextRunAt,
+                attempts: 0,
+                lastError: null,
+                history: [...current.history, entry]
+            });
+
+            if (status !== 'active' || step.type === 'wait') {
+                return current;
+            }
+        }
+
+        return this.finish(current, 'completed', null);
+    }
+
+    // Send one push or email step; returns the history entry fields for it
+    async send(run, definition, step, user) {
+        const channel = step.type;
+        const subscription = findSubscription(user, channel);
+        if (!subscription) {
+            return { status: 'skipped', notificationId: null, reason: `No enabled ${channel} subscription` };
+        }
+
+        const verdict = checkPreferences({ userId: run.externalId, email: channel === 'email' ? subscription.token : undefined }, {
+            channel,
+            category: definition.category
+        });
+        if (verdict.action === 'reject') {
+            return { status: 'skipped', notificationId: null, reason: verdict.message };
+        }
+        const sendAt = verdict.action === 'defer' ? verdict.until : null;
+
+        const tags = user.properties?.tags || {};
+        const message = {
+            userId: run.externalId,
+            content: renderStep(step, journeyVariables({ externalId: run.externalId, tags, properties: run.properties })),
+            data: { ...step.data, journey: definition.id, journeyStep: step.id }
+        };
+        const context = {
+            caller: run.caller,
+            campaign: definition.id,
+            category: definition.category,
+            idempotencyKey: toOneSignalKey(`journey:${run.id}:${step.id}`)
+        };
+
+        const result = await SENDERS[channel](this.provider, message, subscription, sendAt, context);
+
+        if (!result.id) {
+            const reason = Array.isArray(result.errors) ? result.errors[0] : 'No subscribed recipients';
+            return { status: result.suppressed ? 'suppressed' : 'failed', notificationId: null, reason };
+        }
+
+        logger.info('Journey step sent', { journey: definition.id, step: step.id, runId: run.id, externalId: run.externalId, notificationId: result.id });
+        return { status: 'sent', notificationId: result.id, reason: sendAt ? verdict.message : null, deferredUntil: sendAt };
+    }
+
+    // Try the run's current step again later with exponential backoff, capped at an hour
+    async retry(run, error) {
+        const message = error.message;
+        const attempts = run.attempts + 1;
+        logger.error('Journey step failed', { runId: run.id, step: run.currentStep, attempt: attempts, error });
+
+        if (attempts >= maxAttempts()) {
+            return this.finish(run, 'failed', message);
+        }
+
+        const delay = Math.min(60000 * 2 ** (attempts - 1), 3600000);
+        return runs.update(run.id, {
+            attempts,
+            lastError: message,
+            nextRunAt: new Date(Date.now() + delay).toISOString()
+        });
+    }
+
+    // End the run unless it was paused or cancelled in the meantime
+    async finish(run, status, error) {
+        if (runs.get(run.id).status !== 'active') {
+            return runs.get(run.id);
+        }
+
+        logger.info('Journey run finished', { runId: run.id, externalId: run.externalId, status, error: error || null });
+        return runs.update(run.id, { status, lastError: error, endedAt: new Date().toISOString() });
+    }
+
+    // Time the next tick for the earliest due run, polling at least every JOURNEYS_POLL_MS
+    arm() {
+        if (!this.provider || this.stopped) {
+            return;
+        }
+
+        const next = runs.list({ status: 'active' })
+            .reduce((earliest, run) => Math.min(earliest, Date.parse(run.nextRunAt)), Infinity);
+        const delay = Math.min(Math.max(next - Date.now(), 0), pollIntervalMs());
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delay);
+        this.timer.unref();
+    }
+
+    // Run what is due unless a run is already in progress; the promise lets stop() wait for it
+    tick() {
+        if (!this.ticking) {
+            this.lastTickAt = new Date().toISOString();
+            this.ticking = this.runDue().finally(() => {
+                this.ticking = null;
+                this.arm();
+            });
+        }
+        return this.ticking;
+    }
+
+    async runDue() {
+        try {
+            const now = Date.now();
+            const due = runs.list({ status: 'active' })
+                .filter((run) => Date.parse(run.nextRunAt) <= now)
+                .reverse();
+
+            for (const run of due) {
+                if (this.stopped) {
+                    break;
+                }
+                // A run paused or cancelled since the list was taken is left alone
+                if (runs.get(run.id).status === 'active') {
+                    await this.advance(runs.get(run.id));
+                }
+            }
+        } catch (error) {
+            logger.error('Journey engine tick failed', { error });
+        }
+    }
+}
+
+export default new JourneyEngine();
@@ -0,0 +1,138 @@
+// Journey enrollment: triggering users into OneSignal journeys by tag or by custom event, and taking
+// them out again. Every enrollment is recorded in the enrollment store.
+//
+// Each operation takes many external ids and reports one result per user:
+//   { externalId, status, enrollment, error, code }
+import { runWithConcurrency } from './batch.js';
+import enrollments from '../stores/enrollments.js';
+
+const concurrency = () => Number(process.env.BATCH_CONCURRENCY) || 4;
+
+// Custom events are posted to OneSignal in chunks of this many
+const EVENTS_PER_REQUEST = 1000;
+
+// A failed result names the error and its stable code; the error itself stays on `cause`, kept out
+// of the JSON report, so a single-user route can answer with the error's own status
+function failed(externalId, enrollment, error) {
+    const result = { externalId, status: 'failed', enrollment, error: error.message, code: error.code || 'internal_error' };
+    Object.defineProperty(result, 'cause', { value: error, enumerable: false });
+    return result;
+}
+
+// Run `task` for every external id with bounded concurrency, keeping results in input order
+async function forEachUser(externalIds, task) {
+    const results = new Array(externalIds.length);
+    await runWithConcurrency(externalIds.map((externalId, index) => async () => {
+        results[index] = await task(externalId);
+    }), concurrency());
+    return results;
+}
+
+// "already_enrolled" is counted as summary.alreadyEnrolled
+const summaryKey = (status) => status.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+
+// Totals per status, for the statuses an operation can produce
+function report(results, statuses) {
+    const summary = { total: results.length };
+    for (const status of statuses) {
+        summary[summaryKey(status)] = results.filter((result) => result.status === status).length;
+    }
+    return { summary, results };
+}
+
+// Every segment tag set on the user for an enrollment; enrollments recorded before `tags` existed
+// only have their latest trigger
+const enrollmentTags = (enrollment) =>
+    enrollment.tags || (enrollment.trigger.type === 'tag' ? [enrollment.trigger.tag] : []);
+
+// Record a trigger, extending the user's current enrollment in the journey when there is one. The
+// enrollment keeps the latest trigger and every tag any trigger set, so exiting can clear them all.
+function recordTrigger(existing, { journey, externalId, trigger, caller }) {
+    const added = trigger.type === 'tag' ? [trigger.tag] : [];
+
+    if (existing) {
+        return enrollments.update(existing.id, {
+            trigger,
+            tags: [...new Set([...enrollmentTags(existing), ...added])],
+            triggerCount: existing.triggerCount + 1,
+            lastTriggeredAt: new Date().toISOString()
+        });
+    }
+    return enrollments.create({ journey, externalId, trigger, tags: added, caller });
+}
+
+// Set the journey's segment tag on each user. Users already enrolled are skipped unless `reenter`
+// is set: a journey only starts when a user newly matches its segment, so re-entry removes the tag
+// and sets it again.
+export async function enrollByTag(provider, externalIds, { journey, tag, value, reenter = false, caller = null }) {
+    const results = await forEachUser(externalIds, async (externalId) => {
+        const existing = enrollments.active(journey, externalId);
+        if (existing && !reenter) {
+            return { externalId, status: 'already_enrolled', enrollment: existing, error: null, code: null };
+        }
+
+        try {
+            if (reenter) {
+                await provider.deleteTags(externalId, [tag]);
+            }
+            await provider.addUserToSegment(externalId, tag, value);
+        } catch (error) {
+            return failed(externalId, null, error);
+        }
+
+        const trigger = { type: 'tag', tag, value };
+        const enrollment = await recordTrigger(existing, { journey, externalId, trigger, caller });
+        return { externalId, status: 'enrolled', enrollment, error: null, code: null };
+    });
+
+    return report(results, ['enrolled', 'already_enrolled', 'failed']);
+}
+
+// Record a custom event for each user; journeys whose entry rule matches the event start for them
+export async function enrollByEvent(provider, externalIds, { journey, name, properties = {}, caller = null }) {
+    const results = [];
+
+    for (let i = 0; i < externalIds.length; i += EVENTS_PER_REQUEST) {
+        const chunk = externalIds.slice(i, i + EVENTS_PER_REQUEST);
+
+        try {
+            await provider.sendCustomEvents(chunk.map((externalId) => ({ name, externalId, properties })));
+        } catch (error) {
+            results.push(...chunk.map((externalId) => failed(externalId, null, error)));
+            continue;
+        }
+
+        const trigger = { type: 'event', name, properties };
+        for (const externalId of chunk) {
+            const existing = enrollments.active(journey, externalId);
+            const enrollment = await recordTrigger(existing, { journey, externalId, trigger, caller });
+            results.push({ externalId, status: 'enrolled', enrollment, error: null, code: null });
+        }
+    }
+
+    return report(results, ['enrolled', 'failed']);
+}
+
+// End each user's enrollment in a journey, removing every tag that triggered it
+export async function exitJourney(provider, externalIds, { journey }) {
+    const results = await forEachUser(externalIds, async (externalId) => {
+        const existing = enrollments.active(journey, externalId);
+        if (!existing) {
+            return { externalId, status: 'not_enrolled', enrollment: null, error: null, code: null };
+        }
+
+        const tags = enrollmentTags(existing);
+        if (tags.length > 0) {
+            try {
+                await provider.deleteTags(externalId, tags);
+            } catch (error) {
+                return failed(externalId, existing, error);
+            }
+        }
+
+        const enrollment = await enrollments.update(existing.id, { status: 'exited', exitedAt: new Date().toISOString() });
+        return { externalId, status: 'exited', enrollment, error: null, code: null };
+    });
+
+    return report(results, ['exited', 'not_enrolled', 'failed']);
+}
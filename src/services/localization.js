@@ -0,0 +1,44 @@
+// Per-locale content for push and email.
+//
+// Content fields accept either a plain string (in the default language) or a map of
+// language code to text, e.g. { en: 'Hello', fr: 'Bonjour' }.
+
+// Language codes OneSignal accepts in headings/contents
+export const ONESIGNAL_LANGUAGES = [
+    'en', 'ar', 'bs', 'bg', 'ca', 'zh-Hans', 'zh-Hant', 'zh', 'hr', 'cs', 'da', 'nl', 'et', 'fi',
+    'fr', 'ka', 'de', 'el', 'hi', 'he', 'hu', 'id', 'it', 'ja', 'ko', 'lv', 'lt', 'ms', 'nb',
+    'pl', 'fa', 'pt', 'pa', 'ro', 'ru', 'sr', 'sk', 'es', 'sv', 'th', 'tr', 'uk', 'vi'
+];
+
+export const defaultLanguage = () => process.env.DEFAULT_LANGUAGE || 'en';
+
+// SUPPORTED_LANGUAGES narrows the accepted codes (comma separated); defaults to all of OneSignal's
+export function supportedLanguages() {
+    const configured = (process.env.SUPPORTED_LANGUAGES || '')
+        .split(',')
+        .map((code) => code.trim())
+        .filter(Boolean);
+
+    return configured.length > 0 ? configured : ONESIGNAL_LANGUAGES;
+}
+
+// Build a OneSignal language map. OneSignal shows the `en` entry to anyone whose language
+// has no entry of its own, so `en` always carries the default language's text.
+export function toLanguageMap(content) {
+    const map = typeof content === 'string' ? { [defaultLanguage()]: content } : { ...content };
+
+    if (!map.en) {
+        map.en = map[defaultLanguage()];
+    }
+
+    return map;
+}
+
+// Pick the text for one recipient's language, falling back to the default language
+export function pickLanguage(content, language) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    return content[language] ?? content[defaultLanguage()];
+}
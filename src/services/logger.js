@@ -0,0 +1,90 @@
+// Structured logging: one JSON object per line, with the current request's correlation id.
+//
+//   {"time":"...","level":"info","message":"Push notification sent","requestId":"...","notificationId":"..."}
+//
+// Entries below LOG_LEVEL (debug, info, warn, error; default info) are dropped. Email addresses,
+// phone numbers and credentials are redacted from messages and fields before anything is written.
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Run `fn` with `fields` (such as requestId) added to every entry logged inside it
+export const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+export const currentRequestId = () => context.getStore()?.requestId || null;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const PHONE_PATTERN = /\+\d{5,13}(\d{2})\b/g;
+
+// Fields that hold credentials are dropped whole
+const SECRET_KEYS = ['authorization', 'apikey', 'api_key', 'password', 'secret', 'token', 'keyhash'];
+
+// Keep enough of an address to tell entries apart: j***@example.com, +***23
+export const redactText = (text) => text
+    .replace(EMAIL_PATTERN, '$1***@$2')
+    .replace(PHONE_PATTERN, '+***$1');
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactText(error.message || ''),
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.upstreamStatus ? { upstreamStatus: error.upstreamStatus } : {}),
+        ...(error.upstreamErrors ? { upstreamErrors: redact(error.upstreamErrors) } : {}),
+        ...(!error.status || error.status >= 500 ? { stack: error.stack } : {})
+    };
+}
+
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (value === null || typeof value !== 'object' || depth > 6) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEYS.includes(key.toLowerCase()) ? '[redacted]' : redact(item, depth + 1)
+    ]));
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < minLevel()) {
+        return;
+    }
+
+    const entry = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        message: redactText(String(message)),
+        ...context.getStore(),
+        ...redact(fields)
+    });
+
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(`${entry}\n`);
+    } else {
+        process.stdout.write(`${entry}\n`);
+    }
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+export default logger;
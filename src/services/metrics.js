@@ -0,0 +1,150 @@
+// Prometheus metrics, kept in memory and rendered in the text exposition format for GET /metrics.
+//
+// Counters and histograms are updated where the work happens: sends and OneSignal calls in
+// OneSignalService, HTTP requests in the metrics middleware. Gauges read their value when scraped.
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Seconds; OneSignal calls usually take tens to hundreds of milliseconds, retries take longer
+const DEFAULT_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0
+        ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+        : '';
+};
+
+class Metric {
+    constructor({ name, help, labelNames = [] }, type) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.type = type;
+        this.series = new Map();
+        registry.push(this);
+    }
+
+    // Labels in declared order, so the same label set always maps to the same series
+    labelsFor(labels = {}) {
+        return Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? '']));
+    }
+
+    seriesFor(labels, create) {
+        const ordered = this.labelsFor(labels);
+        const key = JSON.stringify(ordered);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: ordered, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+export class Counter extends Metric {
+    constructor(options) {
+        super(options, 'counter');
+    }
+
+    inc(labels, amount = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    render() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+// `collect()` returns the current values as [{ labels, value }] each time the metrics are scraped
+export class Gauge extends Metric {
+    constructor({ collect, ...options }) {
+        super(options, 'gauge');
+        this.collect = collect;
+    }
+
+    render() {
+        return this.collect().map(({ labels, value }) => `${this.name}${formatLabels(this.labelsFor(labels))} ${value}`);
+    }
+}
+
+export class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super(options, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ]);
+    }
+}
+
+// Every registered metric in the Prometheus text format
+export function renderMetrics() {
+    return registry.flatMap((metric) => [...metric.header(), ...metric.render()]).join('\n') + '\n';
+}
+
+export const sendsTotal = new Counter({
+    name: 'notification_sends_total',
+    help: 'Notifications handed to the channel provider, by channel, API route and outcome',
+    labelNames: ['channel', 'route', 'outcome']
+});
+
+export const httpRequestsTotal = new Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests answered, by method, route and status',
+    labelNames: ['method', 'route', 'status']
+});
+
+export const httpRequestDuration = new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time to answer HTTP requests, by method and route',
+    labelNames: ['method', 'route']
+});
+
+export const oneSignalRequestDuration = new Histogram({
+    name: 'onesignal_api_request_duration_seconds',
+    help: 'OneSignal API latency including retries, by OneSignalService method and outcome',
+    labelNames: ['method', 'outcome']
+});
+
+export const oneSignalErrorsTotal = new Counter({
+    name: 'onesignal_api_errors_total',
+    help: 'Failed OneSignal API calls, by OneSignalService method and error code',
+    labelNames: ['method', 'code']
+});
+
+const requestContext = new AsyncLocalStorage();
+
+// The route pattern a request matched, e.g. /api/users/:externalId, so ids in paths do not create
+// new series
+export const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Run `fn` with `req` as the request sends are counted against
+export const withMetricsRequest = (req, fn) => requestContext.run(req, fn);
+
+// Route of the request being handled; sends made by background workers (scheduler, fallbacks,
+// journeys, imports) have none
+export function currentRoute() {
+    const req = requestContext.getStore();
+    return req ? routeOf(req) : 'background';
+}
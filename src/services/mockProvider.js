@@ -0,0 +1,275 @@
+// Local stand-in for OneSignal, for development and tests without credentials.
+//
+// It builds exactly the payloads OneSignalService would send, but answers them itself instead of
+// calling the API: notifications, users and custom events are kept in DATA_DIR/mock-provider.jsonl,
+// so every send can be inspected afterwards and status, cancel and history behave as they do
+// against OneSignal. Nothing is ever delivered.
+import crypto from 'crypto';
+import { toOneSignalError } from './errors.js';
+import OneSignalService from './onesignal.js';
+import logger from './logger.js';
+import JsonLinesFile from '../stores/jsonLinesFile.js';
+
+// Shaped like an axios error and classified like one, so callers read it exactly like an API failure
+function apiError(status, message) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data: { errors: [message] } };
+    return toOneSignalError(error);
+}
+
+const unixNow = () => Math.floor(Date.now() / 1000);
+
+class MockProvider extends OneSignalService {
+    constructor(fileName = 'mock-provider.jsonl') {
+        super({ appId: 'mock-app', apiKey: 'mock-key', apiUrl: 'mock://onesignal' });
+
+        this.file = new JsonLinesFile(fileName);
+        this.notifications = new Map();
+        this.users = new Map();
+        this.idempotencyKeys = new Map();
+
+        // The file holds snapshots of notifications and users plus user deletions; the last line wins
+        for (const line of this.file.readAll()) {
+            if (line.notification) {
+                this.notifications.set(line.notification.id, line.notification);
+                if (line.notification.idempotency_key) {
+                    this.idempotencyKeys.set(line.notification.idempotency_key, line.notification.id);
+                }
+            } else if (line.user) {
+                this.users.set(line.user.identity.external_id, line.user);
+            } else if (line.deletedUser) {
+                this.users.delete(line.deletedUser);
+            }
+        }
+    }
+
+    get name() {
+        return 'mock';
+    }
+
+    // Every notification this provider has accepted, oldest first
+    sends() {
+        return [...this.notifications.values()];
+    }
+
+    // Answer the OneSignal REST call locally instead of sending it
+    async request({ method = 'get', url, data }) {
+        const verb = method.toLowerCase();
+        const path = url.replace(`/apps/${this.appId}`, '/app');
+        let match;
+
+        if (verb === 'post' && path === '/notifications') {
+            return { data: await this.createNotification(data) };
+        }
+        if ((match = path.match(/^\/notifications\/([^/]+)$/))) {
+            if (verb === 'get') return { data: await this.readNotification(match[1]) };
+            if (verb === 'delete') return { data: await this.deleteNotification(match[1]) };
+        }
+        if (verb === 'get' && path === '/app') {
+            return { data: { id: this.appId, name: 'Mock App' } };
+        }
+        if (verb === 'post' && path === '/app/users') {
+            return { data: await this.saveUser(data) };
+        }
+        if ((match = path.match(/^\/app\/users\/by\/external_id\/([^/]+)(?:\/identity(?:\/([^/]+))?)?$/))) {
+            const externalId = decodeURIComponent(match[1]);
+            const identity = path.includes('/identity');
+
+            if (verb === 'get' && !identity) return { data: this.findUser(externalId) };
+            if (verb === 'patch' && !identity) return { data: await this.updateUser(externalId, data) };
+            if (verb === 'delete' && !identity) return { data: await this.removeUser(externalId) };
+            if (verb === 'patch' && !match[2]) return { data: await this.updateIdentity(externalId, data.identity) };
+            if (verb === 'delete' && match[2]) return { data: await this.deleteIdentity(externalId, decodeURIComponent(match[2])) };
+        }
+        if (verb === 'patch' && (match = path.match(/^\/app\/subscriptions\/([^/]+)$/))) {
+            return { data: await this.updateSubscription(decodeURIComponent(match[1]), data.subscription) };
+        }
+        if (verb === 'post' && path === '/app/custom_events') {
+            return { data: await this.recordEvents(data.events) };
+        }
+
+        throw apiError(404, `Mock provider does not support ${verb.toUpperCase()} ${url}`);
+    }
+
+    async saveNotification(notification) {
+        this.notifications.set(notification.id, notification);
+        await this.file.append({ notification });
+        return notification;
+    }
+
+    async createNotification(payload) {
+        // Like OneSignal, a repeated idempotency key returns the original notification
+        if (payload.idempotency_key && this.idempotencyKeys.has(payload.idempotency_key)) {
+            const existing = this.notifications.get(this.idempotencyKeys.get(payload.idempotency_key));
+            return { id: existing.id, recipients: existing.recipients };
+        }
+
+        const recipients = payload.include_aliases?.external_id?.length
+            || payload.include_email_tokens?.length
+            || payload.include_phone_numbers?.length
+            || 1;
+        const sendAfter = payload.send_after ? Math.floor(Date.parse(payload.send_after) / 1000) : null;
+        const immediate = !sendAfter && !payload.delayed_option;
+
+        const notification = {
+            ...payload,
+            id: crypto.randomUUID(),
+            recipients,
+            send_after: sendAfter,
+            queued_at: unixNow(),
+            completed_at: immediate ? unixNow() : null,
+            successful: immediate ? recipients : 0,
+            failed: 0,
+            errored: 0,
+            converted: 0,
+            remaining: immediate ? 0 : recipients,
+            canceled: false
+        };
+
+        if (payload.idempotency_key) {
+            this.idempotencyKeys.set(payload.idempotency_key, notification.id);
+        }
+        await this.saveNotification(notification);
+
+        logger.info('Mock notification stored', { channel: payload.target_channel, notificationId: notification.id, recipients });
+        return { id: notification.id, recipients };
+    }
+
+    async readNotification(id) {
+        const notification = this.notifications.get(id);
+        if (!notification) {
+            throw apiError(404, 'Notification not found');
+        }
+
+        // A scheduled notification whose time has passed counts as delivered
+        if (!notification.canceled && !notification.completed_at && notification.send_after && notification.send_after <= unixNow()) {
+            return this.saveNotification({
+                ...notification,
+                completed_at: notification.send_after,
+                successful: notification.recipients,
+                remaining: 0
+            });
+        }
+
+        return notification;
+    }
+
+    async deleteNotification(id) {
+        const notification = await this.readNotification(id);
+        if (notification.completed_at) {
+            throw apiError(400, 'Notification has already been sent');
+        }
+
+        await this.saveNotification({ ...notification, canceled: true, remaining: 0 });
+        return { success: true };
+    }
+
+    async storeUser(user) {
+        this.users.set(user.identity.external_id, user);
+        await this.file.append({ user });
+        return user;
+    }
+
+    findUser(externalId) {
+        const user = this.users.get(externalId);
+        if (!user) {
+            throw apiError(404, 'User not found');
+        }
+        return user;
+    }
+
+    async saveUser(payload) {
+        const externalId = payload.aliases.external_id;
+        const existing = this.users.get(externalId);
+
+        // Subscriptions get ids, as OneSignal assigns them
+        const subscriptions = (payload.subscriptions || []).map((subscription) => ({
+            id: crypto.randomUUID(),
+            enabled: true,
+            ...subscription
+        }));
+
+        return this.storeUser({
+            identity: {
+                ...existing?.identity,
+                ...payload.aliases,
+                onesignal_id: existing?.identity.onesignal_id || crypto.randomUUID()
+            },
+            properties: { ...payload.properties, tags: { ...existing?.properties.tags, ...payload.properties?.tags } },
+            subscriptions: [...(existing?.subscriptions || []), ...subscriptions]
+        });
+    }
+
+    async updateUser(externalId, payload) {
+        const user = this.findUser(externalId);
+
+        // Tags set to an empty string are removed
+        const tags = Object.fromEntries(
+            Object.entries({ ...user.properties.tags, ...payload.properties?.tags }).filter(([, value]) => value !== '')
+        );
+        const updated = await this.storeUser({ ...user, properties: { ...user.properties, ...payload.properties, tags } });
+        return { properties: updated.properties };
+    }
+
+    async removeUser(externalId) {
+        this.findUser(externalId);
+        this.users.delete(externalId);
+        await this.file.append({ deletedUser: externalId });
+        return {};
+    }
+
+    async updateIdentity(externalId, aliases) {
+        const user = this.findUser(externalId);
+        const updated = await this.storeUser({ ...user, identity: { ...user.identity, ...aliases } });
+        return { identity: updated.identity };
+    }
+
+    async deleteIdentity(externalId, label) {
+        const user = this.findUser(externalId);
+        if (!(label in user.identity)) {
+            throw apiError(404, `Alias not found: ${label}`);
+        }
+
+        const identity = { ...user.identity };
+        delete identity[label];
+        const updated = await this.storeUser({ ...user, identity });
+        return { identity: updated.identity };
+    }
+
+    async updateSubscription(subscriptionId, changes) {
+        const user = [...this.users.values()]
+            .find((candidate) => candidate.subscriptions.some((subscription) => subscription.id === subscriptionId));
+        if (!user) {
+            throw apiError(404, 'Subscription not found');
+        }
+
+        await this.storeUser({
+            ...user,
+            subscriptions: user.subscriptions.map((subscription) =>
+                (subscription.id === subscriptionId ? { ...subscription, ...changes } : subscription))
+        });
+        return {};
+    }
+
+    // Custom events are only recorded; there are no journeys to start
+    async recordEvents(events) {
+        await this.file.append({ customEvents: events });
+        logger.info('Mock custom events stored', { events: events.map((event) => ({ name: event.name, externalId: event.external_id })) });
+        return {};
+    }
+
+    async testConnection() {
+        return {
+            success: true,
+            api: 'mock',
+            url: this.apiUrl,
+            app: (await this.request({ method: 'get', url: `/apps/${this.appId}` })).data
+        };
+    }
+
+    async probe() {
+        return { success: true };
+    }
+}
+
+export default MockProvider;
@@ -0,0 +1,88 @@
+// The interface every channel provider implements. Routers and services only talk to a provider,
+// never to a vendor API directly, so the provider can be swapped by configuration (see providers.js).
+//
+// Every send method takes `(params, context)`, where context is `{ caller, idempotencyKey, campaign }`,
+// and resolves to `{ id, recipients }` like OneSignal's create-notification response.
+import { DELAY_UNITS } from '../middleware/validation.js';
+
+const UNIT_SECONDS = {
+    seconds: 1,
+    minutes: 60,
+    hours: 3600,
+    days: 86400,
+    weeks: 604800
+};
+
+// Length of a relative delay in seconds
+export const toSeconds = (amount, unit) => amount * (UNIT_SECONDS[unit] || 1);
+
+class NotificationProvider {
+    // Short name reported by health checks, e.g. "onesignal"
+    get name() {
+        return 'unknown';
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.name} provider does not implement ${method}`);
+    }
+
+    // Push: one user or segment, delayed, and one notification to many users
+    async sendPushNotification() { this.notImplemented('sendPushNotification'); }
+    async sendDelayedPushNotification() { this.notImplemented('sendDelayedPushNotification'); }
+    async sendPushToUsers() { this.notImplemented('sendPushToUsers'); }
+
+    // Email: one address, delayed, a segment, and one email to many addresses
+    async sendEmail() { this.notImplemented('sendEmail'); }
+    async sendDelayedEmail() { this.notImplemented('sendDelayedEmail'); }
+    async sendEmailToSegment() { this.notImplemented('sendEmailToSegment'); }
+    async sendEmailToAddresses() { this.notImplemented('sendEmailToAddresses'); }
+
+    // SMS: one phone number, delayed, and a segment
+    async sendSms() { this.notImplemented('sendSms'); }
+    async sendDelayedSms() { this.notImplemented('sendDelayedSms'); }
+    async sendSmsToSegment() { this.notImplemented('sendSmsToSegment'); }
+
+    // Sent or scheduled notifications by provider id
+    async getNotification() { this.notImplemented('getNotification'); }
+    async cancelNotification() { this.notImplemented('cancelNotification'); }
+
+    // Users, addressed by external id: create (plus email/SMS subscriptions), fetch, tag, alias, delete
+    async createUser() { this.notImplemented('createUser'); }
+    async getUser() { this.notImplemented('getUser'); }
+    async tagUser() { this.notImplemented('tagUser'); }
+    async addAliases() { this.notImplemented('addAliases'); }
+    async removeAlias() { this.notImplemented('removeAlias'); }
+    async deleteUser() { this.notImplemented('deleteUser'); }
+
+    // Subscriptions, addressed by subscription id
+    async setSubscriptionEnabled() { this.notImplemented('setSubscriptionEnabled'); }
+
+    // Custom events ({ name, externalId, properties }) that journeys can be triggered by
+    async sendCustomEvents() { this.notImplemented('sendCustomEvents'); }
+
+    async testConnection() { this.notImplemented('testConnection'); }
+
+    // Readiness probe: whether the provider accepts our credentials, as { success, error, code }
+    async probe() { this.notImplemented('probe'); }
+
+    // A tag set to an empty string is removed, following OneSignal's convention
+    async deleteTags(externalId, keys) {
+        return this.tagUser(externalId, Object.fromEntries(keys.map((key) => [key, ''])));
+    }
+
+    // Journeys start when a user gains the segment's tag
+    async addUserToSegment(externalId, segmentTag, segmentValue) {
+        return this.tagUser(externalId, { [segmentTag]: segmentValue });
+    }
+
+    convertToSeconds(amount, unit) {
+        return toSeconds(amount, unit);
+    }
+
+    // Validate delay unit
+    isValidDelayUnit(unit) {
+        return DELAY_UNITS.includes(unit);
+    }
+}
+
+export default NotificationProvider;
@@ -0,0 +1,165 @@
+// One stable status shape for push and email, whether the send is held by OneSignal
+// (a notification id) or by the local scheduler (a schedule id):
+//
+//   {
+//       id, channel, source: 'onesignal' | 'local',
+//       status: 'scheduled' | 'sending' | 'completed' | 'failed' | 'cancelled',
+//       notificationId, scheduledFor, completedAt, cron,
+//       counts: { successful, failed, errored, converted, remaining }
+//   }
+import scheduler from './scheduler.js';
+import jobs from '../stores/scheduledJobs.js';
+import outbox from '../stores/outbox.js';
+
+const EMPTY_COUNTS = { successful: 0, failed: 0, errored: 0, converted: 0, remaining: 0 };
+
+// Every status response has every field, null when it does not apply
+const statusShape = ({
+    id,
+    channel,
+    source,
+    status,
+    notificationId = null,
+    scheduledFor = null,
+    completedAt = null,
+    cron = null,
+    counts = {}
+}) => ({
+    id,
+    channel,
+    source,
+    status,
+    notificationId,
+    scheduledFor,
+    completedAt,
+    cron,
+    counts: { ...EMPTY_COUNTS, ...counts }
+});
+
+// OneSignal reports times as unix seconds
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+function oneSignalStatus(notification) {
+    if (notification.canceled) {
+        return 'cancelled';
+    }
+    if (notification.completed_at) {
+        const delivered = notification.successful || 0;
+        const failed = (notification.failed || 0) + (notification.errored || 0);
+        return delivered === 0 && failed > 0 ? 'failed' : 'completed';
+    }
+    if (notification.send_after && notification.send_after * 1000 > Date.now()) {
+        return 'scheduled';
+    }
+    return 'sending';
+}
+
+export function normalizeNotification(notification, channel) {
+    return statusShape({
+        id: notification.id,
+        channel,
+        source: 'onesignal',
+        status: oneSignalStatus(notification),
+        notificationId: notification.id,
+        scheduledFor: fromUnix(notification.send_after),
+        completedAt: fromUnix(notification.completed_at),
+        counts: {
+            successful: notification.successful ?? 0,
+            failed: notification.failed ?? 0,
+            errored: notification.errored ?? 0,
+            converted: notification.converted ?? 0,
+            remaining: notification.remaining ?? 0
+        }
+    });
+}
+
+const JOB_STATUSES = {
+    scheduled: 'scheduled',
+    running: 'sending',
+    completed: 'completed',
+    failed: 'failed',
+    cancelled: 'cancelled'
+};
+
+export function normalizeJob(job) {
+    const lastRun = job.runs[job.runs.length - 1] || null;
+
+    return statusShape({
+        id: job.id,
+        channel: job.channel,
+        source: 'local',
+        status: JOB_STATUSES[job.status],
+        notificationId: lastRun?.notificationId || null,
+        scheduledFor: ['scheduled', 'running'].includes(job.status) ? job.runAt : lastRun?.runAt || job.runAt,
+        completedAt: ['completed', 'failed'].includes(job.status) ? lastRun?.ranAt || null : null,
+        cron: job.cron
+    });
+}
+
+// A OneSignal id recorded locally for another channel or client is not found for this one
+function belongsElsewhere(id, channel, caller) {
+    const record = outbox.findByNotificationId(id);
+    return Boolean(record) && (record.channel !== channel || record.caller !== caller);
+}
+
+// A schedule is only visible to the client that created it, under its own channel
+const isOwnJob = (job, channel, caller) => job.channel === channel && job.caller === caller;
+
+// Status of a schedule id or provider notification id; null when unknown for this channel and caller
+export async function getStatus(provider, id, channel, caller) {
+    const job = jobs.get(id);
+    if (job) {
+        return isOwnJob(job, channel, caller) ? normalizeJob(job) : null;
+    }
+
+    if (belongsElsewhere(id, channel, caller)) {
+        return null;
+    }
+
+    const notification = await provider.getNotification(id);
+    return normalizeNotification(notification, channel);
+}
+
+// Cancel a pending send by schedule id or notification id; null when unknown or no longer pending
+export async function cancelSend(provider, id, channel, caller) {
+    const job = jobs.get(id);
+    if (job) {
+        return isOwnJob(job, channel, caller) && (await scheduler.cancel(id)) ? normalizeJob(jobs.get(id)) : null;
+    }
+
+    if (belongsElsewhere(id, channel, caller)) {
+        return null;
+    }
+
+    await provider.cancelNotification(id);
+
+    const record = outbox.findByNotificationId(id);
+    if (record) {
+        await outbox.update(record.id, { status: 'cancelled' });
+    }
+
+    return statusShape({
+        id,
+        channel,
+        source: 'onesignal',
+        status: 'cancelled',
+        notificationId: id,
+        scheduledFor: record?.scheduledFor ? new Date(record.scheduledFor).toISOString() : null
+    });
+}
+
+// Sends this caller scheduled that have not gone out yet, soonest first
+export function listPending(channel, caller) {
+    const local = jobs.list({ status: 'scheduled', channel, caller }).map(normalizeJob);
+
+    const upstream = outbox.pendingScheduled({ channel, caller }).map((record) => statusShape({
+        id: record.notificationId,
+        channel,
+        source: 'onesignal',
+        status: 'scheduled',
+        notificationId: record.notificationId,
+        scheduledFor: new Date(record.scheduledFor).toISOString()
+    }));
+
+    return [...local, ...upstream].sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+}
@@ -1,18 +1,56 @@
 import 'dotenv/config';
 import axios from 'axios';
-
-class OneSignalService {
-    constructor() {
-        this.appId = process.env.ONESIGNAL_APP_ID;
-        this.apiKey = process.env.ONESIGNAL_API_KEY;
-        this.apiUrl = process.env.ONESIGNAL_API_URL || 'https://api.onesignal.com';
+import outbox from '../stores/outbox.js';
+import CircuitBreaker from './circuitBreaker.js';
+import { toOneSignalError } from './errors.js';
+import logger, { currentRequestId } from './logger.js';
+import { currentRoute, oneSignalErrorsTotal, oneSignalRequestDuration, sendsTotal } from './metrics.js';
+import { isTransient, withRetry } from './retry.js';
+import { pickLanguage, toLanguageMap } from './localization.js';
+import { toPushPayload } from './push.js';
+import { checkFrequency, contentHash } from './frequency.js';
+import { defaultCategory } from './preferences.js';
+import NotificationProvider from './notificationProvider.js';
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+};
+
+// Shared by every OneSignalService instance so all routers see the same upstream health
+const circuitBreaker = new CircuitBreaker({
+    name: 'OneSignal',
+    failureThreshold: numberFromEnv('ONESIGNAL_BREAKER_THRESHOLD', 5),
+    resetTimeoutMs: numberFromEnv('ONESIGNAL_BREAKER_RESET_MS', 30000)
+});
+
+// Methods that can be resent without side effects; anything else must opt in per call
+const IDEMPOTENT_METHODS = ['get', 'delete'];
+
+class OneSignalService extends NotificationProvider {
+    constructor({
+        appId = process.env.ONESIGNAL_APP_ID,
+        apiKey = process.env.ONESIGNAL_API_KEY,
+        apiUrl = process.env.ONESIGNAL_API_URL || 'https://api.onesignal.com'
+    } = {}) {
+        super();
+        this.appId = appId;
+        this.apiKey = apiKey;
+        this.apiUrl = apiUrl;
 
         if (!this.appId || !this.apiKey) {
-            throw new Error('ONESIGNAL_APP_ID and ONESIGNAL_API_KEY are required');
+            throw new Error('ONESIGNAL_APP_ID and ONESIGNAL_API_KEY are required (or set NOTIFICATION_PROVIDER=mock for local development)');
         }
 
+        this.retryOptions = {
+            maxRetries: numberFromEnv('ONESIGNAL_MAX_RETRIES', 3),
+            baseDelayMs: numberFromEnv('ONESIGNAL_RETRY_BASE_MS', 500),
+            maxDelayMs: numberFromEnv('ONESIGNAL_RETRY_MAX_MS', 10000)
+        };
+
         this.client = axios.create({
             baseURL: this.apiUrl,
+            timeout: numberFromEnv('ONESIGNAL_TIMEOUT_MS', 10000),
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Key ${this.apiKey}`
@@ -20,14 +58,73 @@ class OneSignalService {
         });
     }
 
-    // Send immediate push notification
-    async sendPushNotification({ userId, title, body, data = {}, segment = null }) {
+    static get circuitBreaker() {
+        return circuitBreaker;
+    }
+
+    get name() {
+        return 'onesignal';
+    }
+
+    // Make an API call through the circuit breaker, retrying transient failures.
+    // Only idempotent methods are retried unless the call passes `retryable: true`;
+    // rate-limited (429) and never-sent requests are always safe to resend.
+    // Failures are thrown as OneSignalError subclasses (see errors.js). Latency and failures are
+    // recorded in the metrics under `operation`, the OneSignalService method making the call.
+    async request(config, { retryable = false, operation = 'request' } = {}) {
+        const method = (config.method || 'get').toLowerCase();
+        const requestId = currentRequestId();
+        const headers = requestId ? { ...config.headers, 'X-Request-Id': requestId } : config.headers;
+        const started = Date.now();
+
+        try {
+            const response = await withRetry(
+                () => circuitBreaker.exec(
+                    () => this.client.request({ ...config, method, headers }),
+                    (error) => isTransient(error) && error.response?.status !== 429
+                ),
+                {
+                    ...this.retryOptions,
+                    idempotent: retryable || IDEMPOTENT_METHODS.includes(method),
+                    onRetry: ({ attempt, delay, error }) => {
+                        logger.warn('Retrying OneSignal request', {
+                            method: method.toUpperCase(),
+                            url: config.url,
+                            attempt,
+                            delayMs: delay,
+                            upstreamStatus: error.response?.status ?? null,
+                            errorCode: error.code ?? null
+                        });
+                    }
+                }
+            );
+
+            oneSignalRequestDuration.observe({ method: operation, outcome: 'success' }, (Date.now() - started) / 1000);
+            logger.debug('OneSignal request', {
+                method: method.toUpperCase(),
+                url: config.url,
+                upstreamStatus: response.status,
+                durationMs: Date.now() - started
+            });
+            return response;
+        } catch (error) {
+            const classified = toOneSignalError(error);
+            oneSignalRequestDuration.observe({ method: operation, outcome: 'error' }, (Date.now() - started) / 1000);
+            oneSignalErrorsTotal.inc({ method: operation, code: classified.code });
+            throw classified;
+        }
+    }
+
+    // Send immediate push notification (title/body may be per-language maps, options are rich push
+    // options, see services/push.js)
+    async sendPushNotification({ userId, title, body, data = {}, segment = null, options = {} }, context = {}) {
         const payload = {
             app_id: this.appId,
             target_channel: 'push',
-            headings: { en: title },
-            contents: { en: body },
-            data: data
+            headings: toLanguageMap(title),
+            contents: toLanguageMap(body),
+            data: data,
+            ...toPushPayload(options)
         };
 
         // Target specific user or segment
@@ -39,8 +136,7 @@ class OneSignalService {
             payload.included_segments = ['Subscribed Users']; // Default
         }
 
-        const response = await this.client.post('/notifications', payload);
-        return response.data;
+        return this.dispatch('sendPushNotification', 'push', payload, context, userId ? { userId } : null);
     }
 
     // Send delayed push notification
@@ -51,24 +147,29 @@ class OneSignalService {
         data = {},
         delayAmount = 30,
         delayUnit = 'seconds',
-        segment = null
-    }) {
+        sendAt = null,
+        segment = null,
+        options = {}
+    }, context = {}) {
         const payload = {
             app_id: this.appId,
             target_channel: 'push',
-            headings: { en: title },
-            contents: { en: body },
-            data: data
+            headings: toLanguageMap(title),
+            contents: toLanguageMap(body),
+            data: data,
+            ...toPushPayload(options)
         };
 
-        // Add delay configuration
-        if (delayUnit === 'seconds' || delayUnit === 'minutes' || delayUnit === 'hours') {
-            const delayInSeconds = this.convertToSeconds(delayAmount, delayUnit);
-            const sendAfter = new Date(Date.now() + delayInSeconds * 1000).toISOString();
-            payload.send_after = sendAfter;
+        // Add delay configuration: an absolute sendAt wins over a relative delay
+        if (sendAt) {
+            payload.send_after = new Date(sendAt).toISOString();
         } else if (delayUnit === 'timezone') {
             payload.delayed_option = 'timezone';
             payload.delivery_time_of_day = delayAmount; // e.g., "9:00AM"
+        } else {
+            const delayInSeconds = this.convertToSeconds(delayAmount, delayUnit);
+            const sendAfter = new Date(Date.now() + delayInSeconds * 1000).toISOString();
+            payload.send_after = sendAfter;
         }
 
         // Target specific user or segment
@@ -80,17 +181,16 @@ class OneSignalService {
             payload.included_segments = ['Subscribed Users'];
         }
 
-        const response = await this.client.post('/notifications', payload);
-        return response.data;
+        return this.dispatch('sendDelayedPushNotification', 'push', payload, context, userId ? { userId } : null);
     }
 
-    // Send immediate email
-    async sendEmail({ email, subject, body, userId = null, customData = {} }) {
+    // Send immediate email, in the recipient's language when subject/body are per-language maps
+    async sendEmail({ email, subject, body, language = null, userId = null, customData = {} }, context = {}) {
         const payload = {
             app_id: this.appId,
             target_channel: 'email',
-            email_subject: subject,
-            email_body: body,
+            email_subject: pickLanguage(subject, language),
+            email_body: pickLanguage(body, language),
             include_email_tokens: [email]
         };
 
@@ -104,8 +204,7 @@ class OneSignalService {
             payload.custom_data = customData;
         }
 
-        const response = await this.client.post('/notifications', payload);
-        return response.data;
+        return this.dispatch('sendEmail', 'email', payload, context, { userId, email });
     }
 
     // Send delayed email
@@ -113,27 +212,31 @@ class OneSignalService {
         email,
         subject,
         body,
+        language = null,
         userId = null,
         customData = {},
         delayAmount = 30,
-        delayUnit = 'seconds'
-    }) {
+        delayUnit = 'seconds',
+        sendAt = null
+    }, context = {}) {
         const payload = {
             app_id: this.appId,
             target_channel: 'email',
-            email_subject: subject,
-            email_body: body,
+            email_subject: pickLanguage(subject, language),
+            email_body: pickLanguage(body, language),
             include_email_tokens: [email]
         };
 
-        // Add delay configuration
-        if (delayUnit === 'seconds' || delayUnit === 'minutes' || delayUnit === 'hours') {
-            const delayInSeconds = this.convertToSeconds(delayAmount, delayUnit);
-            const sendAfter = new Date(Date.now() + delayInSeconds * 1000).toISOString();
-            payload.send_after = sendAfter;
+        // Add delay configuration: an absolute sendAt wins over a relative delay
+        if (sendAt) {
+            payload.send_after = new Date(sendAt).toISOString();
         } else if (delayUnit === 'timezone') {
             payload.delayed_option = 'timezone';
             payload.delivery_time_of_day = delayAmount; // e.g., "9:00AM"
+        } else {
+            const delayInSeconds = this.convertToSeconds(delayAmount, delayUnit);
+            const sendAfter = new Date(Date.now() + delayInSeconds * 1000).toISOString();
+            payload.send_after = sendAfter;
         }
 
         // Add user identification if provided
@@ -146,144 +249,375 @@ class OneSignalService {
             payload.custom_data = customData;
         }
 
-        const response = await this.client.post('/notifications', payload);
-        return response.data;
+        return this.dispatch('sendDelayedEmail', 'email', payload, context, { userId, email });
     }
 
     // Send to email segment
-    async sendEmailToSegment({ segment, subject, body, customData = {} }) {
+    async sendEmailToSegment({ segment, subject, body, language = null, customData = {} }, context = {}) {
+        const payload = {
+            app_id: this.appId,
+            target_channel: 'email',
+            email_subject: pickLanguage(subject, language),
+            email_body: pickLanguage(body, language),
+            included_segments: [segment]
+        };
+
+        if (Object.keys(customData).length > 0) {
+            payload.custom_data = customData;
+        }
+
+        return this.dispatch('sendEmailToSegment', 'email', payload, context);
+    }
+
+    // Base SMS payload; the sender number comes from ONESIGNAL_SMS_FROM when set
+    smsPayload(body) {
+        const payload = {
+            app_id: this.appId,
+            target_channel: 'sms',
+            contents: toLanguageMap(body)
+        };
+
+        if (process.env.ONESIGNAL_SMS_FROM) {
+            payload.sms_from = process.env.ONESIGNAL_SMS_FROM;
+        }
+
+        return payload;
+    }
+
+    // Send immediate SMS to an E.164 phone number
+    async sendSms({ phoneNumber, body }, context = {}) {
+        const payload = {
+            ...this.smsPayload(body),
+            include_phone_numbers: [phoneNumber]
+        };
+
+        return this.dispatch('sendSms', 'sms', payload, context, { phoneNumber });
+    }
+
+    // Send delayed SMS
+    async sendDelayedSms({
+        phoneNumber,
+        body,
+        delayAmount = 30,
+        delayUnit = 'seconds',
+        sendAt = null
+    }, context = {}) {
+        const payload = {
+            ...this.smsPayload(body),
+            include_phone_numbers: [phoneNumber]
+        };
+
+        // Add delay configuration: an absolute sendAt wins over a relative delay
+        if (sendAt) {
+            payload.send_after = new Date(sendAt).toISOString();
+        } else if (delayUnit === 'timezone') {
+            payload.delayed_option = 'timezone';
+            payload.delivery_time_of_day = delayAmount; // e.g., "9:00AM"
+        } else {
+            const delayInSeconds = this.convertToSeconds(delayAmount, delayUnit);
+            const sendAfter = new Date(Date.now() + delayInSeconds * 1000).toISOString();
+            payload.send_after = sendAfter;
+        }
+
+        return this.dispatch('sendDelayedSms', 'sms', payload, context, { phoneNumber });
+    }
+
+    // Send SMS to segment
+    async sendSmsToSegment({ segment, body }, context = {}) {
+        const payload = {
+            ...this.smsPayload(body),
+            included_segments: [segment]
+        };
+
+        return this.dispatch('sendSmsToSegment', 'sms', payload, context);
+    }
+
+    // Send one push to many users by External ID (used by batch sends)
+    async sendPushToUsers({ userIds, title, body, data = {}, sendAt = null, options = {} }, context = {}) {
+        const payload = {
+            app_id: this.appId,
+            target_channel: 'push',
+            headings: toLanguageMap(title),
+            contents: toLanguageMap(body),
+            data: data,
+            ...toPushPayload(options),
+            include_aliases: { external_id: userIds }
+        };
+
+        if (sendAt) {
+            payload.send_after = new Date(sendAt).toISOString();
+        }
+
+        return this.dispatch('sendPushToUsers', 'push', payload, context);
+    }
+
+    // Send one email to many addresses (used by batch sends)
+    async sendEmailToAddresses({ emails, subject, body, customData = {}, sendAt = null }, context = {}) {
         const payload = {
             app_id: this.appId,
             target_channel: 'email',
             email_subject: subject,
             email_body: body,
-            included_segments: [segment]
+            include_email_tokens: emails
         };
 
+        if (sendAt) {
+            payload.send_after = new Date(sendAt).toISOString();
+        }
+
         if (Object.keys(customData).length > 0) {
             payload.custom_data = customData;
         }
 
-        const response = await this.client.post('/notifications', payload);
+        return this.dispatch('sendEmailToAddresses', 'email', payload, context);
+    }
+
+    // Post a notification and record it in the local outbox, whether it succeeds or fails.
+    // With an idempotency key OneSignal deduplicates the send, which also makes it safe to retry.
+    // The campaign becomes the notification's internal name, used to group engagement analytics.
+    //
+    // Sends to a single `recipient` ({ userId, email }) are held to frequency caps and duplicate
+    // suppression first; a suppressed send resolves to `{ id: null, suppressed: true, reason }`.
+    async dispatch(method, channel, payload, {
+        caller = null,
+        idempotencyKey = null,
+        campaign = null,
+        category = defaultCategory()
+    } = {}, recipient = null) {
+        if (idempotencyKey) {
+            payload.idempotency_key = idempotencyKey;
+        }
+        if (campaign) {
+            payload.name = campaign;
+        }
+
+        const record = { channel, method, payload, caller, category, contentHash: contentHash(payload) };
+
+        // A retry of an earlier send with the same idempotency key is not a duplicate
+        const isRetry = Boolean(idempotencyKey) && Boolean(outbox.findByIdempotencyKey(idempotencyKey));
+        const suppressed = recipient && !isRetry
+            ? checkFrequency({ channel, recipient, category, hash: record.contentHash })
+            : null;
+
+        if (suppressed) {
+            logger.info('Send suppressed', {
+                channel,
+                userId: recipient.userId,
+                email: recipient.email,
+                phoneNumber: recipient.phoneNumber,
+                reason: suppressed.reason
+            });
+            await this.recordSend({ ...record, suppressed });
+            sendsTotal.inc({ channel, route: currentRoute(), outcome: 'suppressed' });
+            return { id: null, recipients: 0, suppressed: true, reason: suppressed.reason, errors: [suppressed.message] };
+        }
+
+        let response;
+        try {
+            response = await this.request(
+                { method: 'post', url: '/notifications', data: payload },
+                { retryable: Boolean(idempotencyKey), operation: method }
+            );
+        } catch (error) {
+            await this.recordSend({ ...record, error: error.message });
+            sendsTotal.inc({ channel, route: currentRoute(), outcome: 'failed' });
+            throw error;
+        }
+
+        await this.recordSend({ ...record, response: response.data });
+        // OneSignal answers a send that reached no subscribed recipient without an id
+        sendsTotal.inc({ channel, route: currentRoute(), outcome: response.data?.id ? 'sent' : 'no_recipients' });
         return response.data;
     }
 
+    // A failure to write the outbox must never turn a delivered send into an error
+    async recordSend(entry) {
+        try {
+            await outbox.record(entry);
+        } catch (error) {
+            logger.error('Outbox write failed', { error });
+        }
+    }
+
     // Get notification details
     async getNotification(notificationId) {
-        const response = await this.client.get(`/notifications/${notificationId}`);
+        const response = await this.request(
+            { method: 'get', url: `/notifications/${notificationId}` },
+            { operation: 'getNotification' }
+        );
         return response.data;
     }
 
     // Cancel scheduled notification
     async cancelNotification(notificationId) {
-        const response = await this.client.delete(`/notifications/${notificationId}`);
+        const response = await this.request(
+            { method: 'delete', url: `/notifications/${notificationId}` },
+            { operation: 'cancelNotification' }
+        );
         return response.data;
     }
 
+    // User API path for one user, addressed by External ID
+    userPath(externalId) {
+        return `/apps/${this.appId}/users/by/external_id/${encodeURIComponent(externalId)}`;
+    }
+
     // Create user with External ID (for Journey testing)
-    async createUser({ externalId, email, firstName, companyName }) {
+    async createUser({ externalId, email, phoneNumber, firstName, companyName, tags = {} }) {
         const payload = {
             aliases: {
                 external_id: externalId
             },
             properties: {
-                tags: {
-                    first_name: firstName,
-                    company_name: companyName
-                }
+                // Names left out are not sent as empty tags
+                tags: Object.fromEntries(
+                    Object.entries({ ...tags, first_name: firstName, company_name: companyName })
+                        .filter(([, value]) => value !== undefined && value !== null)
+                )
             }
         };
 
-        // Add email subscription if provided
+        // Add email and SMS subscriptions if provided
+        payload.subscriptions = [];
         if (email) {
-            payload.subscriptions = [
-                {
-                    type: 'Email',
-                    token: email,
-                    enabled: true
-                }
-            ];
+            payload.subscriptions.push({
+                type: 'Email',
+                token: email,
+                enabled: true
+            });
+        }
+        if (phoneNumber) {
+            payload.subscriptions.push({
+                type: 'SMS',
+                token: phoneNumber,
+                enabled: true
+            });
         }
 
-        const response = await this.client.post('/users', payload);
+        const response = await this.request(
+            { method: 'post', url: `/apps/${this.appId}/users`, data: payload },
+            { operation: 'createUser' }
+        );
         return response.data;
     }
 
-    // Add user to segment (triggers Journey)
-    async addUserToSegment(externalId, segmentTag, segmentValue) {
+    // Set tags on an existing user
+    async tagUser(externalId, tags) {
         const payload = {
             properties: {
-                tags: {
-                    [segmentTag]: segmentValue
-                }
+                tags
             }
         };
 
-        const response = await this.client.patch(`/users/by/external_id/${externalId}`, payload);
+        // Setting tags to fixed values is idempotent, so transient failures can be retried
+        const response = await this.request(
+            { method: 'patch', url: this.userPath(externalId), data: payload },
+            { retryable: true, operation: 'tagUser' }
+        );
         return response.data;
     }
 
-    // Test API connectivity
+    // Get a user's properties, aliases and subscriptions
+    async getUser(externalId) {
+        const response = await this.request({ method: 'get', url: this.userPath(externalId) }, { operation: 'getUser' });
+        return response.data;
+    }
+
+    // Delete a user and all of their subscriptions
+    async deleteUser(externalId) {
+        const response = await this.request({ method: 'delete', url: this.userPath(externalId) }, { operation: 'deleteUser' });
+        return response.data;
+    }
+
+    // Add aliases (label -> id) to a user; setting an alias to the same id is idempotent
+    async addAliases(externalId, aliases) {
+        const response = await this.request(
+            { method: 'patch', url: `${this.userPath(externalId)}/identity`, data: { identity: aliases } },
+            { retryable: true, operation: 'addAliases' }
+        );
+        return response.data;
+    }
+
+    // Remove one alias from a user
+    async removeAlias(externalId, label) {
+        const response = await this.request(
+            { method: 'delete', url: `${this.userPath(externalId)}/identity/${encodeURIComponent(label)}` },
+            { operation: 'removeAlias' }
+        );
+        return response.data;
+    }
+
+    // Opt a push, email or SMS subscription in or out
+    async setSubscriptionEnabled(subscriptionId, enabled) {
+        const response = await this.request(
+            {
+                method: 'patch',
+                url: `/apps/${this.appId}/subscriptions/${encodeURIComponent(subscriptionId)}`,
+                data: { subscription: { enabled } }
+            },
+            { retryable: true, operation: 'setSubscriptionEnabled' }
+        );
+        return response.data;
+    }
+
+    // Record custom events for users by External ID; journeys can start when an event is recorded.
+    // Events are not deduplicated by OneSignal, so failed posts are not retried.
+    async sendCustomEvents(events) {
+        const timestamp = new Date().toISOString();
+        const payload = {
+            events: events.map(({ name, externalId, properties = {} }) => ({
+                name,
+                external_id: externalId,
+                timestamp,
+                payload: properties
+            }))
+        };
+
+        const response = await this.request(
+            { method: 'post', url: `/apps/${this.appId}/custom_events`, data: payload },
+            { operation: 'sendCustomEvents' }
+        );
+        return response.data;
+    }
+
+    // Check that the app id and API key are accepted by fetching the app. Never throws: failures
+    // resolve to { success: false, error, code, suggestion }.
     async testConnection() {
         try {
-            console.log('🧪 Testing API connectivity...');
-
-            // Try to get app info (simple test)
-            const response = await this.client.get(`/apps/${this.appId}`);
+            const response = await this.request({ method: 'get', url: `/apps/${this.appId}` }, { operation: 'testConnection' });
 
             return {
                 success: true,
-                api: 'new',
+                api: 'current',
                 url: this.client.defaults.baseURL,
                 app: response.data
             };
-
-        } catch (newApiError) {
-            console.log('New API test failed, trying legacy API...');
-
-            try {
-                // Test legacy API
-                const legacyClient = axios.create({
-                    baseURL: this.legacyBaseURL,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Basic ${this.apiKey}`
-                    },
-                    timeout: 30000
-                });
-
-                const response = await legacyClient.get(`/apps/${this.appId}`);
-
-                return {
-                    success: true,
-                    api: 'legacy',
-                    url: this.legacyBaseURL,
-                    app: response.data
-                };
-
-            } catch (legacyApiError) {
-                return {
-                    success: false,
-                    newApiError: newApiError.message,
-                    legacyApiError: legacyApiError.message,
-                    suggestion: 'Check your API key and App ID. Make sure your API key is the REST API Key from Settings > Keys & IDs'
-                };
-            }
+        } catch (error) {
+            return {
+                success: false,
+                url: this.client.defaults.baseURL,
+                error: error.message,
+                code: error.code || 'internal_error',
+                suggestion: error.code === 'onesignal_auth_failed' || error.code === 'onesignal_not_found'
+                    ? 'Check your API key and App ID. Make sure your API key is the REST API Key from Settings > Keys & IDs'
+                    : 'Check that OneSignal is reachable from this server'
+            };
         }
     }
-    convertToSeconds(amount, unit) {
-        const conversions = {
-            seconds: 1,
-            minutes: 60,
-            hours: 3600,
-            days: 86400
-        };
-        return amount * (conversions[unit] || 1);
-    }
 
-    // Validate delay unit
-    isValidDelayUnit(unit) {
-        return ['seconds', 'minutes', 'hours', 'days', 'timezone'].includes(unit);
+    // Readiness probe: one quick call the app's REST API key may make, sent straight to the client so it
+    // is never retried and a slow or failing OneSignal neither holds up readiness nor trips the breaker
+    async probe() {
+        try {
+            await this.client.get('/notifications', {
+                params: { app_id: this.appId, limit: 1 },
+                timeout: numberFromEnv('HEALTH_PROBE_TIMEOUT_MS', 2000)
+            });
+            return { success: true };
+        } catch (error) {
+            const classified = toOneSignalError(error);
+            return { success: false, error: classified.message, code: classified.code };
+        }
     }
 }
 
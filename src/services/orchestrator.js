@@ -0,0 +1,274 @@
+// Multi-channel messages: one logical message is sent on the first channel in its priority list
+// that the user has an enabled subscription for. Channels that fail move straight on to the next.
+//
+// With a fallback timeout, a message whose delivery or open has not been recorded by then (through
+// the OneSignal webhook) is sent again on the next available channel. Pending fallbacks live in the
+// message store, so they survive restarts, and each channel's send carries an idempotency key for
+// that message, so a fallback interrupted by a crash is not delivered twice.
+//
+// Channels the user's preferences opt out of are skipped, and a channel send that would land in the
+// user's quiet hours is scheduled for when they end, with the fallback timeout counted from then.
+import { toOneSignalKey } from '../middleware/idempotency.js';
+import { checkPreferences, defaultCategory } from './preferences.js';
+import logger from './logger.js';
+import deliveryEvents from '../stores/deliveryEvents.js';
+import messages from '../stores/messages.js';
+
+export const CHANNELS = ['push', 'email', 'sms'];
+
+// Webhook events that show the message reached the user
+const REACHED_EVENTS = ['delivered', 'displayed', 'opened', 'clicked'];
+
+const pollIntervalMs = () => Number(process.env.MESSAGES_POLL_MS) || 15000;
+
+// How long to wait before retrying a fallback whose user lookup failed
+const RETRY_DELAY_MS = 60000;
+
+const subscriptionChannel = (type) => ({ Email: 'email', SMS: 'sms' }[type] || 'push');
+
+// The user's first enabled subscription on `channel`, or null
+export function findSubscription(user, channel) {
+    return (user.subscriptions || []).find((subscription) =>
+        subscriptionChannel(subscription.type) === channel && subscription.enabled !== false) || null;
+}
+
+// Send the message's content on one channel to the given subscription, at `sendAt` when it is set
+const SENDERS = {
+    push: (provider, { userId, content }, subscription, sendAt, context) => {
+        const params = { userId, title: content.title, body: content.body, data: content.data || {} };
+        return sendAt
+            ? provider.sendDelayedPushNotification({ ...params, sendAt }, context)
+            : provider.sendPushNotification(params, context);
+    },
+    email: (provider, { userId, content }, subscription, sendAt, context) => {
+        const params = {
+            email: subscription.token,
+            subject: content.subject ?? content.title,
+            body: content.html ?? content.body,
+            language: content.language,
+            userId
+        };
+        return sendAt ? provider.sendDelayedEmail({ ...params, sendAt }, context) : provider.sendEmail(params, context);
+    },
+    sms: (provider, { content }, subscription, sendAt, context) => {
+        const params = { phoneNumber: subscription.token, body: content.body };
+        return sendAt ? provider.sendDelayedSms({ ...params, sendAt }, context) : provider.sendSms(params, context);
+    }
+};
+
+const isNotFound = (error) => error.response?.status === 404;
+
+class Orchestrator {
+    constructor() {
+        this.provider = null;
+        this.timer = null;
+        this.ticking = null;
+        this.stopped = false;
+        this.lastTickAt = null;
+    }
+
+    // Start running due fallbacks through `provider`
+    start(provider) {
+        this.provider = provider;
+        this.stopped = false;
+        logger.info('Message orchestrator started', { pendingFallbacks: messages.list({ status: 'awaiting_delivery' }).length });
+        this.tick();
+    }
+
+    // Stop polling; resolves once the fallbacks being sent have finished
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.ticking;
+    }
+
+    // Whether a delivery or open has been recorded for a notification
+    wasReached(notificationId) {
+        return deliveryEvents.forNotification(notificationId).some((event) => REACHED_EVENTS.includes(event.type));
+    }
+
+    // Send a new message; returns null when the provider does not know the user
+    async send({
+        userId,
+        channels = CHANNELS,
+        content,
+        fallbackAfterSeconds = null,
+        campaign = null,
+        category = defaultCategory(),
+        bypassPreferences = false,
+        caller = null
+    }) {
+        if (!this.provider) {
+            throw new Error('Message orchestrator is not started');
+        }
+
+        let user;
+        try {
+            user = await this.provider.getUser(userId);
+        } catch (error) {
+            if (isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+
+        const message = await messages.create({
+            userId,
+            channels,
+            content,
+            fallbackAfterSeconds,
+            campaign,
+            category,
+            bypassPreferences,
+            caller
+        });
+        return this.deliver(message, user, 0);
+    }
+
+    // Try the message's channels from `fromIndex` on, stopping at the first that sends
+    async deliver(message, user, fromIndex) {
+        const attempts = [...message.attempts];
+
+        for (let index = fromIndex; index < message.channels.length; index++) {
+            const channel = message.channels[index];
+            const at = new Date().toISOString();
+            const subscription = findSubscription(user, channel);
+
+            if (!subscription) {
+                attempts.push({ channel, status: 'skipped', notificationId: null, reason: `No enabled ${channel} subscription`, at });
+                continue;
+            }
+
+            const verdict = checkPreferences({ userId: message.userId }, {
+                channel,
+                category: message.category,
+                bypass: message.bypassPreferences
+            });
+            if (verdict.action === 'reject') {
+                attempts.push({ channel, status: 'skipped', notificationId: null, reason: verdict.message, at });
+                continue;
+            }
+            const sendAt = verdict.action === 'defer' ? verdict.until : null;
+
+            const context = {
+                caller: message.caller,
+                campaign: message.campaign,
+                category: message.category,
+                idempotencyKey: toOneSignalKey(`message:${message.id}:${channel}`)
+            };
+
+            try {
+                const result = await SENDERS[channel](this.provider, message, subscription, sendAt, context);
+
+                if (!result.id) {
+                    const reason = Array.isArray(result.errors) ? result.errors[0] : 'No subscribed recipients';
+                    attempts.push({ channel, status: result.suppressed ? 'suppressed' : 'failed', notificationId: null, reason, at });
+                    continue;
+                }
+
+                attempts.push({
+                    channel,
+                    status: 'sent',
+                    notificationId: result.id,
+                    reason: sendAt ? verdict.message : null,
+                    deferredUntil: sendAt,
+                    at
+                });
+                logger.info('Message sent', { messageId: message.id, channel, notificationId: result.id, deferredUntil: sendAt || null });
+
+                const canFallBack = Boolean(message.fallbackAfterSeconds) && index < message.channels.length - 1;
+                const sentAt = sendAt ? Date.parse(sendAt) : Date.now();
+                const updated = await messages.update(message.id, {
+                    status: canFallBack ? 'awaiting_delivery' : 'sent',
+                    channel,
+                    notificationId: result.id,
+                    attempts,
+                    nextIndex: index + 1,
+                    fallbackAt: canFallBack ? new Date(sentAt + message.fallbackAfterSeconds * 1000).toISOString() : null
+                });
+
+                this.arm();
+                return updated;
+            } catch (error) {
+                const reason = error.message;
+                logger.error('Message send failed', { messageId: message.id, channel, error });
+                attempts.push({ channel, status: 'failed', notificationId: null, reason, at });
+            }
+        }
+
+        // Nothing more to try; a fallback that found no further channel leaves the earlier send standing
+        const sent = attempts.some((attempt) => attempt.status === 'sent');
+        return messages.update(message.id, { status: sent ? 'sent' : 'failed', attempts, fallbackAt: null });
+    }
+
+    // Move a message on to its next channel unless the current send was reached in time
+    async fallBack(message) {
+        if (this.wasReached(message.notificationId)) {
+            logger.info('Message delivered', { messageId: message.id, channel: message.channel });
+            await messages.update(message.id, { status: 'delivered', fallbackAt: null });
+            return;
+        }
+
+        let user;
+        try {
+            user = await this.provider.getUser(message.userId);
+        } catch (error) {
+            if (isNotFound(error)) {
+                await messages.update(message.id, { status: 'sent', fallbackAt: null, lastError: 'User no longer exists' });
+            } else {
+                logger.error('Message fallback lookup failed', { messageId: message.id, error });
+                await messages.update(message.id, { fallbackAt: new Date(Date.now() + RETRY_DELAY_MS).toISOString() });
+            }
+            return;
+        }
+
+        logger.info('No delivery recorded, falling back', { messageId: message.id, channel: message.channel });
+        await this.deliver(message, user, message.nextIndex);
+    }
+
+    // Time the next tick for the earliest pending fallback, polling at least every MESSAGES_POLL_MS
+    arm() {
+        if (!this.provider || this.stopped) {
+            return;
+        }
+
+        const next = messages.list({ status: 'awaiting_delivery' })
+            .reduce((earliest, message) => Math.min(earliest, Date.parse(message.fallbackAt)), Infinity);
+        const delay = Math.min(Math.max(next - Date.now(), 0), pollIntervalMs());
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delay);
+        this.timer.unref();
+    }
+
+    // Run what is due unless a run is already in progress; the promise lets stop() wait for it
+    tick() {
+        if (!this.ticking) {
+            this.lastTickAt = new Date().toISOString();
+            this.ticking = this.runDue().finally(() => {
+                this.ticking = null;
+                this.arm();
+            });
+        }
+        return this.ticking;
+    }
+
+    async runDue() {
+        try {
+            const now = Date.now();
+            const due = messages.list({ status: 'awaiting_delivery' }).filter((message) => Date.parse(message.fallbackAt) <= now);
+
+            for (const message of due) {
+                if (this.stopped) {
+                    break;
+                }
+                await this.fallBack(message);
+            }
+        } catch (error) {
+            logger.error('Message orchestrator tick failed', { error });
+        }
+    }
+}
+
+export default new Orchestrator();
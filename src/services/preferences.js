@@ -0,0 +1,97 @@
+// User notification preferences, checked before a send goes out.
+//
+// Users can opt out of a message category or a channel, and set quiet hours in their own timezone.
+// A send that breaks an opt-out is rejected; one that would arrive during quiet hours is deferred to
+// the end of them. Users with no stored preferences receive everything, and transactional sends can
+// bypass every rule when the request says so explicitly.
+import { wallClock } from './cron.js';
+import preferences from '../stores/preferences.js';
+
+export const CATEGORIES = ['transactional', 'marketing', 'reminders'];
+
+export const PREFERENCE_CHANNELS = ['push', 'email', 'sms'];
+
+// Category of sends that do not name one
+export const defaultCategory = () =>
+    (CATEGORIES.includes(process.env.DEFAULT_MESSAGE_CATEGORY) ? process.env.DEFAULT_MESSAGE_CATEGORY : 'marketing');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// "22:30" as minutes after midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const minuteOfDay = (clock) => clock.hour * 60 + clock.minute;
+
+// Quiet hours run from `start` up to `end` and may cross midnight
+const isQuiet = (minute, start, end) => (start < end ? minute >= start && minute < end : minute >= start || minute < end);
+
+// When the quiet hours that `at` falls in end, or null when `at` is outside them
+export function quietHoursEnd(quietHours, timeZone, at = new Date()) {
+    if (!quietHours) {
+        return null;
+    }
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const minute = minuteOfDay(wallClock(at, timeZone));
+
+    if (start === end || !isQuiet(minute, start, end)) {
+        return null;
+    }
+
+    // Walk the wall-clock minutes to the end, then correct once for a DST change in between
+    let until = Math.floor(at.getTime() / MINUTE_MS) * MINUTE_MS + ((end - minute + DAY_MINUTES) % DAY_MINUTES) * MINUTE_MS;
+    const drift = ((minuteOfDay(wallClock(new Date(until), timeZone)) - end + DAY_MINUTES * 1.5) % DAY_MINUTES) - DAY_MINUTES / 2;
+    until -= drift * MINUTE_MS;
+
+    return new Date(until);
+}
+
+// Stored preferences for a recipient named by external id, email address or phone number
+export function findPreferences({ userId, email, phoneNumber }) {
+    return (userId && preferences.get(userId))
+        || (email && preferences.findByContact('email', email))
+        || (phoneNumber && preferences.findByContact('phoneNumber', phoneNumber))
+        || null;
+}
+
+const SEND = { action: 'send' };
+
+// What to do with one send to `recipient`:
+//
+//   { action: 'send' }
+//   { action: 'reject', reason: 'category_opt_out' | 'channel_opt_out', message }
+//   { action: 'defer', reason: 'quiet_hours', until, message }
+//
+// `at` is when the send would arrive; null (a send in each user's own timezone) skips quiet hours.
+export function checkPreferences(recipient, { channel, category = defaultCategory(), bypass = false, at = new Date() }) {
+    const stored = findPreferences(recipient);
+
+    if (!stored || (bypass && category === 'transactional')) {
+        return SEND;
+    }
+
+    if (stored.categories[category] === false) {
+        return { action: 'reject', reason: 'category_opt_out', message: `Recipient has opted out of ${category} messages` };
+    }
+
+    if (stored.channels[channel] === false) {
+        return { action: 'reject', reason: 'channel_opt_out', message: `Recipient has opted out of ${channel} messages` };
+    }
+
+    const until = at && quietHoursEnd(stored.quietHours, stored.timezone, at);
+    if (!until) {
+        return SEND;
+    }
+
+    return {
+        action: 'defer',
+        reason: 'quiet_hours',
+        until: until.toISOString(),
+        message: `Recipient's quiet hours run until ${stored.quietHours.end} (${stored.timezone})`
+    };
+}
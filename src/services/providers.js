@@ -0,0 +1,16 @@
+// Picks the channel provider named by NOTIFICATION_PROVIDER ("onesignal" by default, or "mock")
+import OneSignalService from './onesignal.js';
+import MockProvider from './mockProvider.js';
+
+const PROVIDERS = {
+    onesignal: OneSignalService,
+    mock: MockProvider
+};
+
+export function createProvider(name = process.env.NOTIFICATION_PROVIDER || 'onesignal') {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown NOTIFICATION_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider();
+}
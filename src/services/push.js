@@ -0,0 +1,49 @@
+// Rich push options: deep links, images, action buttons, collapsing, expiry and iOS badge/sound.
+//
+// Requests use camelCase names; each maps to one OneSignal notification field. The limits are the
+// tightest of the platforms the option reaches, so a send that validates is accepted everywhere:
+// Android shows at most three action buttons, APNs collapse ids are at most 64 bytes and FCM keeps
+// undelivered messages for at most four weeks.
+
+export const PUSH_OPTIONS = {
+    url: 'url',
+    appUrl: 'app_url',
+    webUrl: 'web_url',
+    bigPicture: 'big_picture',
+    chromeWebImage: 'chrome_web_image',
+    buttons: 'buttons',
+    collapseId: 'collapse_id',
+    ttl: 'ttl',
+    priority: 'priority',
+    androidChannelId: 'android_channel_id',
+    iosBadgeType: 'ios_badgeType',
+    iosBadgeCount: 'ios_badgeCount',
+    iosSound: 'ios_sound'
+};
+
+export const MAX_BUTTONS = 3;
+
+export const MAX_COLLAPSE_ID_BYTES = 64;
+
+export const MAX_TTL_SECONDS = 28 * 24 * 3600;
+
+// OneSignal: 10 is high priority, anything else normal
+export const PRIORITIES = [5, 10];
+
+export const IOS_BADGE_TYPES = ['None', 'SetTo', 'Increase'];
+
+// Sound files must be bundled with the iOS app in one of the formats it plays
+export const IOS_SOUND_PATTERN = /^[\w.-]+\.(wav|aiff|caf)$/i;
+
+// The rich push options present in `values` (a request body or stored send params)
+export function pushOptions(values = {}) {
+    return Object.fromEntries(Object.keys(PUSH_OPTIONS)
+        .filter((name) => values[name] !== undefined && values[name] !== null)
+        .map((name) => [name, values[name]]));
+}
+
+// OneSignal notification fields for `options`
+export function toPushPayload(options = {}) {
+    return Object.fromEntries(Object.entries(pushOptions(options))
+        .map(([name, value]) => [PUSH_OPTIONS[name], value]));
+}
@@ -0,0 +1,83 @@
+// Retry with jittered exponential backoff for upstream HTTP calls
+import { AppError } from './errors.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors where the request never reached the upstream, so resending cannot duplicate it
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+export function parseRetryAfter(header) {
+    if (!header) {
+        return null;
+    }
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Full jitter: a random delay between 0 and the exponential ceiling
+export function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+}
+
+// Whether an error is transient: rate limiting, a 5xx, a timeout or a dropped connection.
+// Our own errors, such as an open circuit, never reached the upstream and are not transient.
+export function isTransient(error) {
+    if (error instanceof AppError) {
+        return false;
+    }
+
+    const status = error.response?.status;
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+    return Boolean(error.code) && error.code !== 'ERR_CANCELED';
+}
+
+// Whether a failed call may be resent. Rate-limited and never-sent requests were not processed,
+// so they are always safe; anything else is only resent when the call is idempotent.
+function isSafeToRetry(error, idempotent) {
+    if (error instanceof AppError) {
+        return false;
+    }
+    if (error.response?.status === 429 || NOT_SENT_CODES.includes(error.code)) {
+        return true;
+    }
+    return idempotent && isTransient(error);
+}
+
+// Call `fn` until it succeeds, the error is not retryable or the attempts run out
+export async function withRetry(fn, {
+    idempotent = false,
+    maxRetries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    onRetry = () => {}
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= maxRetries || !isSafeToRetry(error, idempotent)) {
+                throw error;
+            }
+
+            const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+            if (retryAfter !== null && retryAfter > maxDelayMs) {
+                // The upstream asked us to back off longer than we are willing to hold the caller
+                throw error;
+            }
+
+            const delay = retryAfter ?? backoffDelay(attempt, baseDelayMs, maxDelayMs);
+            onRetry({ attempt: attempt + 1, delay, error });
+            await sleep(delay);
+        }
+    }
+}
@@ -0,0 +1,276 @@
+// Durable local scheduler for sends OneSignal cannot schedule itself: anything beyond OneSignal's
+// scheduling window and cron-style recurring sends.
+//
+// Jobs live in the scheduled job store, so they survive restarts. Each run is sent with an
+// idempotency key derived from the job and its scheduled slot, so a run interrupted by a crash
+// can be repeated after restart without OneSignal delivering it twice.
+//
+// Preferences are checked again when each run is due, not only when the job was created: a run to a
+// recipient who has since opted out is skipped, and one that falls in their quiet hours waits for
+// the end of them. Segment runs have no single recipient and are not checked.
+import { nextCronRun } from './cron.js';
+import { toOneSignalKey } from '../middleware/idempotency.js';
+import logger from './logger.js';
+import { Gauge } from './metrics.js';
+import { checkPreferences } from './preferences.js';
+import jobs from '../stores/scheduledJobs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pollIntervalMs = () => Number(process.env.SCHEDULER_POLL_MS) || 15000;
+
+const maxAttempts = () => Number(process.env.SCHEDULER_MAX_ATTEMPTS) || 5;
+
+// Furthest ahead OneSignal's send_after is trusted to hold a notification
+const oneSignalWindowMs = () => (Number(process.env.ONESIGNAL_SCHEDULE_WINDOW_DAYS) || 30) * DAY_MS;
+
+const JOB_STATUSES = ['scheduled', 'running', 'completed', 'failed', 'cancelled'];
+
+new Gauge({
+    name: 'scheduled_jobs',
+    help: 'Locally scheduled jobs by status',
+    labelNames: ['status'],
+    collect: () => JOB_STATUSES.map((status) => ({ labels: { status }, value: jobs.list({ status }).length }))
+});
+
+// The provider method each kind of job calls
+export function jobAction(channel, params) {
+    if (channel === 'push') {
+        return 'sendPushNotification';
+    }
+    if (channel === 'sms') {
+        return params.phoneNumber ? 'sendSms' : 'sendSmsToSegment';
+    }
+    return params.email ? 'sendEmail' : 'sendEmailToSegment';
+}
+
+class Scheduler {
+    constructor() {
+        this.provider = null;
+        this.timer = null;
+        this.ticking = null;
+        this.stopped = false;
+        this.lastTickAt = null;
+    }
+
+    // Whether a send at `runAt` must be held locally rather than handed to OneSignal's send_after
+    isBeyondOneSignalWindow(runAt) {
+        return new Date(runAt).getTime() - Date.now() > oneSignalWindowMs();
+    }
+
+    // Start running due jobs through `provider`
+    start(provider) {
+        this.provider = provider;
+        this.stopped = false;
+
+        // Runs cut off by a restart are picked up again; their idempotency key prevents a duplicate
+        for (const job of jobs.list({ status: 'running' })) {
+            jobs.update(job.id, { status: 'scheduled' }).catch((error) => {
+                logger.error('Scheduler recovery failed', { jobId: job.id, error });
+            });
+        }
+
+        logger.info('Scheduler started', { pendingJobs: jobs.list({ status: 'scheduled' }).length });
+        this.tick();
+    }
+
+    // Stop polling; resolves once the jobs being sent have finished
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.ticking;
+    }
+
+    // Create a job from either a one-off `runAt` or a recurring `cron` expression
+    async schedule({ channel, params, runAt = null, cron = null, timezone = 'UTC', caller = null }) {
+        const firstRun = cron ? nextCronRun(cron, new Date(), timezone) : new Date(runAt);
+
+        const job = await jobs.create({
+            channel,
+            action: jobAction(channel, params),
+            params,
+            cron,
+            timezone: cron ? timezone : null,
+            runAt: firstRun.toISOString(),
+            nextAttemptAt: firstRun.toISOString(),
+            caller
+        });
+
+        logger.info('Job scheduled', { jobId: job.id, channel, runAt: job.runAt, cron: cron || null });
+        this.arm();
+        return job;
+    }
+
+    // Move a pending job to a new time or recurrence. Returns null when the job cannot be changed.
+    async reschedule(id, { runAt = null, cron = null, timezone = null }) {
+        const job = jobs.get(id);
+        if (!job || !['scheduled', 'failed'].includes(job.status)) {
+            return null;
+        }
+
+        const nextCron = cron ?? (runAt ? null : job.cron);
+        const nextTimezone = timezone || job.timezone || 'UTC';
+        const firstRun = nextCron ? nextCronRun(nextCron, new Date(), nextTimezone) : new Date(runAt);
+
+        const updated = await jobs.update(id, {
+            status: 'scheduled',
+            cron: nextCron,
+            timezone: nextCron ? nextTimezone : null,
+            runAt: firstRun.toISOString(),
+            nextAttemptAt: firstRun.toISOString(),
+            attempts: 0,
+            lastError: null
+        });
+
+        this.arm();
+        return updated;
+    }
+
+    // Returns null when the job does not exist or has already finished
+    async cancel(id) {
+        const job = jobs.get(id);
+        if (!job || !['scheduled', 'failed'].includes(job.status)) {
+            return null;
+        }
+
+        return jobs.update(id, { status: 'cancelled', cancelledAt: new Date().toISOString() });
+    }
+
+    // Time the next tick for the earliest pending job, polling at least every SCHEDULER_POLL_MS
+    arm() {
+        if (!this.provider || this.stopped) {
+            return;
+        }
+
+        const next = jobs.list({ status: 'scheduled' })
+            .reduce((earliest, job) => Math.min(earliest, Date.parse(job.nextAttemptAt)), Infinity);
+        const delay = Math.min(Math.max(next - Date.now(), 0), pollIntervalMs());
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delay);
+        this.timer.unref();
+    }
+
+    // Run what is due unless a run is already in progress; the promise lets stop() wait for it
+    tick() {
+        if (!this.ticking) {
+            this.lastTickAt = new Date().toISOString();
+            this.ticking = this.runDue().finally(() => {
+                this.ticking = null;
+                this.arm();
+            });
+        }
+        return this.ticking;
+    }
+
+    async runDue() {
+        try {
+            const now = Date.now();
+            const due = jobs.list({ status: 'scheduled' }).filter((job) => Date.parse(job.nextAttemptAt) <= now);
+
+            for (const { id } of due) {
+                if (this.stopped) {
+                    break;
+                }
+                // A job cancelled or rescheduled since the list was taken is left alone
+                const job = jobs.get(id);
+                if (job?.status === 'scheduled' && Date.parse(job.nextAttemptAt) <= Date.now()) {
+                    await this.run(job);
+                }
+            }
+        } catch (error) {
+            logger.error('Scheduler tick failed', { error });
+        }
+    }
+
+    // The recipient's preferences for a run sent now; segment runs always send
+    preferenceVerdict(job) {
+        const { userId, email, phoneNumber, category, bypassPreferences } = job.params;
+        if (!userId && !email && !phoneNumber) {
+            return { action: 'send' };
+        }
+
+        return checkPreferences({ userId, email, phoneNumber }, {
+            channel: job.channel,
+            category,
+            bypass: bypassPreferences,
+            at: new Date()
+        });
+    }
+
+    async run(job) {
+        const verdict = this.preferenceVerdict(job);
+
+        if (verdict.action === 'defer') {
+            logger.info('Scheduled job deferred for quiet hours', { jobId: job.id, until: verdict.until });
+            await jobs.update(job.id, { runAt: verdict.until, nextAttemptAt: verdict.until });
+            return;
+        }
+
+        if (verdict.action === 'reject') {
+            // Skipped runs are finished like suppressed ones; a recurring job still moves on to its next slot
+            logger.info('Scheduled job skipped by preferences', { jobId: job.id, reason: verdict.reason });
+            const run = {
+                runAt: job.runAt,
+                ranAt: new Date().toISOString(),
+                notificationId: null,
+                error: verdict.message,
+                reason: verdict.reason
+            };
+            await this.finishRun(job, run, job.cron ? 'scheduled' : 'completed');
+            return;
+        }
+
+        await jobs.update(job.id, { status: 'running' });
+        const context = {
+            caller: job.caller,
+            idempotencyKey: toOneSignalKey(`job:${job.id}:${job.runAt}`),
+            campaign: job.params.campaign,
+            category: job.params.category
+        };
+
+        try {
+            const result = await this.provider[job.action](job.params, context);
+            // A run suppressed by a frequency cap or as a duplicate is finished, not retried
+            const error = result.suppressed ? result.errors[0] : null;
+            const run = { runAt: job.runAt, ranAt: new Date().toISOString(), notificationId: result.id || null, error };
+
+            logger.info('Ran scheduled job', { jobId: job.id, notificationId: result.id || null, suppressed: error });
+            await this.finishRun(job, run, job.cron ? 'scheduled' : 'completed');
+        } catch (error) {
+            const message = error.message;
+            const attempts = job.attempts + 1;
+            logger.error('Scheduled job failed', { jobId: job.id, attempt: attempts, error });
+
+            if (attempts < maxAttempts()) {
+                // Retry the same slot with exponential backoff, capped at an hour
+                const delay = Math.min(60000 * 2 ** (attempts - 1), 3600000);
+                await jobs.update(job.id, {
+                    status: 'scheduled',
+                    attempts,
+                    lastError: message,
+                    nextAttemptAt: new Date(Date.now() + delay).toISOString()
+                });
+                return;
+            }
+
+            const run = { runAt: job.runAt, ranAt: new Date().toISOString(), notificationId: null, error: message };
+            await this.finishRun(job, run, job.cron ? 'scheduled' : 'failed');
+        }
+    }
+
+    // Record a finished run; recurring jobs move on to their next slot
+    async finishRun(job, run, status) {
+        const changes = { status, attempts: 0, lastError: run.error, runs: [...job.runs, run] };
+
+        if (job.cron) {
+            const next = nextCronRun(job.cron, new Date(), job.timezone).toISOString();
+            Object.assign(changes, { runAt: next, nextAttemptAt: next });
+        }
+
+        await jobs.update(job.id, changes);
+    }
+}
+
+export default new Scheduler();
@@ -0,0 +1,195 @@
+// Async send queue: segment-wide sends queued by routes called with `async: true`, which answer 202
+// with a job id instead of waiting for OneSignal.
+//
+// Jobs live in the send job store, so queued and interrupted sends survive restarts; each job sends
+// with a fixed idempotency key, so a send repeated after a crash is not delivered twice. At most
+// SEND_QUEUE_CONCURRENCY jobs run at once. Failures OneSignal may recover from (429, 5xx, timeouts,
+// an open circuit) are retried with exponential backoff; a job that fails permanently, or still
+// fails after SEND_QUEUE_MAX_ATTEMPTS, is moved to the dead-letter list until it is retried by hand.
+//
+//   queued -> running -> completed
+//                     -> queued (retry)
+//                     -> dead
+import { toOneSignalKey } from '../middleware/idempotency.js';
+import { AppError } from './errors.js';
+import logger from './logger.js';
+import { Gauge } from './metrics.js';
+import sendJobs from '../stores/sendJobs.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const concurrency = () => Number(process.env.SEND_QUEUE_CONCURRENCY) || 2;
+
+const maxAttempts = () => Number(process.env.SEND_QUEUE_MAX_ATTEMPTS) || 5;
+
+const pollIntervalMs = () => Number(process.env.SEND_QUEUE_POLL_MS) || 5000;
+
+// Rate limits, upstream outages and timeouts may pass; a rejected request will not
+const isRetryable = (error) => error instanceof AppError && (error.status === 429 || error.status >= 500);
+
+new Gauge({
+    name: 'send_queue_jobs',
+    help: 'Async send queue jobs by status',
+    labelNames: ['status'],
+    collect: () => JOB_STATUSES.map((status) => ({ labels: { status }, value: sendJobs.list({ status }).length }))
+});
+
+class SendQueue {
+    constructor() {
+        this.provider = null;
+        this.timer = null;
+        this.running = new Map();
+        this.stopped = false;
+    }
+
+    // Start working through queued jobs with `provider`, requeueing any a restart cut off
+    start(provider) {
+        this.provider = provider;
+        this.stopped = false;
+
+        for (const job of sendJobs.list({ status: 'running' })) {
+            sendJobs.update(job.id, { status: 'queued' }).catch((error) => {
+                logger.error('Send queue recovery failed', { jobId: job.id, error });
+            });
+        }
+
+        logger.info('Send queue started', { queuedJobs: sendJobs.list({ status: 'queued' }).length });
+        this.pump();
+    }
+
+    // Stop taking jobs; resolves once the jobs being sent have finished
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await Promise.allSettled([...this.running.values()]);
+    }
+
+    // Queue `provider[action](params, context)`
+    async enqueue({ channel, action, params, context = {} }) {
+        const job = await sendJobs.create({
+            channel,
+            action,
+            params,
+            context,
+            caller: context.caller || null,
+            maxAttempts: maxAttempts()
+        });
+
+        logger.info('Send queued', { jobId: job.id, channel, action });
+        this.pump();
+        return job;
+    }
+
+    // Move a dead job back onto the queue with fresh attempts. Returns null unless the job is dead.
+    async retry(id) {
+        const job = sendJobs.get(id);
+        if (!job || job.status !== 'dead') {
+            return null;
+        }
+
+        const queued = await sendJobs.update(id, {
+            status: 'queued',
+            attempts: 0,
+            error: null,
+            code: null,
+            finishedAt: null,
+            nextAttemptAt: new Date().toISOString()
+        });
+        this.pump();
+        return queued;
+    }
+
+    // Start due jobs, oldest first, while there are free workers
+    pump() {
+        if (!this.provider || this.stopped) {
+            return;
+        }
+
+        const now = Date.now();
+        const due = sendJobs.list({ status: 'queued' })
+            .filter((job) => Date.parse(job.nextAttemptAt) <= now && !this.running.has(job.id))
+            .reverse();
+
+        for (const job of due.slice(0, Math.max(concurrency() - this.running.size, 0))) {
+            const run = this.run(job)
+                .catch((error) => logger.error('Send queue job crashed', { jobId: job.id, error }))
+                .finally(() => {
+                    this.running.delete(job.id);
+                    this.pump();
+                });
+            this.running.set(job.id, run);
+        }
+
+        this.arm();
+    }
+
+    // Time the next pump for the earliest waiting job, polling at least every SEND_QUEUE_POLL_MS
+    arm() {
+        const next = sendJobs.list({ status: 'queued' })
+            .reduce((earliest, job) => Math.min(earliest, Date.parse(job.nextAttemptAt)), Infinity);
+        const delay = Math.min(Math.max(next - Date.now(), 0), pollIntervalMs());
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.pump(), delay);
+        this.timer.unref();
+    }
+
+    async run(job) {
+        const attempts = job.attempts + 1;
+        await sendJobs.update(job.id, {
+            status: 'running',
+            attempts,
+            startedAt: job.startedAt || new Date().toISOString()
+        });
+
+        // The request's idempotency key, or one derived from the job, makes every attempt the same send
+        const context = {
+            ...job.context,
+            idempotencyKey: job.context.idempotencyKey || toOneSignalKey(`send-job:${job.id}`)
+        };
+
+        let result;
+        try {
+            result = await this.provider[job.action](job.params, context);
+        } catch (error) {
+            return this.fail(job, attempts, error);
+        }
+
+        logger.info('Queued send completed', { jobId: job.id, channel: job.channel, notificationId: result.id || null });
+        return sendJobs.update(job.id, {
+            status: 'completed',
+            notificationId: result.id || null,
+            result,
+            error: null,
+            code: null,
+            finishedAt: new Date().toISOString()
+        });
+    }
+
+    // Retry later with exponential backoff capped at ten minutes, or move the job to the dead letters
+    async fail(job, attempts, error) {
+        const code = error.code || 'internal_error';
+
+        if (isRetryable(error) && attempts < job.maxAttempts) {
+            const delay = Math.max(Math.min(5000 * 2 ** (attempts - 1), 600000), error.retryAfterMs || 0);
+            logger.warn('Queued send failed, retrying', { jobId: job.id, attempt: attempts, delayMs: delay, error });
+            return sendJobs.update(job.id, {
+                status: 'queued',
+                error: error.message,
+                code,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString()
+            });
+        }
+
+        logger.error('Queued send moved to dead letters', { jobId: job.id, attempt: attempts, error });
+        return sendJobs.update(job.id, {
+            status: 'dead',
+            error: error.message,
+            code,
+            finishedAt: new Date().toISOString()
+        });
+    }
+}
+
+export default new SendQueue();
@@ -0,0 +1,42 @@
+// SMS message length rules.
+//
+// Carriers split long texts into segments. Text that fits the GSM-7 alphabet gets 160 characters in a
+// single message and 153 per segment once split; anything else (emoji, most non-Latin scripts) is sent
+// as UCS-2 with 70 and 67. Characters from the GSM-7 extension table ({, }, €, ...) take two places.
+
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+const LIMITS = {
+    'GSM-7': { single: 160, segment: 153 },
+    'UCS-2': { single: 70, segment: 67 }
+};
+
+export const smsMaxSegments = () => Number(process.env.SMS_MAX_SEGMENTS) || 10;
+
+// Encoding, length in encoding units, and the number of segments `text` is sent as
+export function smsSegments(text) {
+    let gsmLength = 0;
+    for (const char of text) {
+        if (GSM_BASIC.includes(char)) {
+            gsmLength += 1;
+        } else if (GSM_EXTENDED.includes(char)) {
+            gsmLength += 2;
+        } else {
+            gsmLength = null;
+            break;
+        }
+    }
+
+    const encoding = gsmLength === null ? 'UCS-2' : 'GSM-7';
+    // UCS-2 counts UTF-16 code units, so an emoji outside the BMP takes two
+    const length = gsmLength ?? text.length;
+    const { single, segment } = LIMITS[encoding];
+
+    return {
+        encoding,
+        length,
+        segments: length <= single ? 1 : Math.ceil(length / segment)
+    };
+}
@@ -0,0 +1,157 @@
+// Small logic-light template language for push and email content.
+//
+//   {{firstName}}                      variable (dotted paths like {{user.plan}} work too)
+//   {{firstName | default: "there"}}   fallback when the variable is missing or empty
+//   {{{html}}}                         unescaped output (email bodies escape {{...}} by default)
+//   {{#if premium}}...{{else}}...{{/if}}
+//   {{#unless unsubscribed}}...{{/unless}}
+import { AppError } from './errors.js';
+
+export class TemplateSyntaxError extends AppError {
+    constructor(message) {
+        super(message, { status: 400, code: 'invalid_template' });
+    }
+}
+
+const TAG_REGEX = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const PATH_REGEX = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+const DEFAULT_REGEX = /^(\S+)\s*\|\s*default:\s*(?:"([^"]*)"|'([^']*)'|(\S+))$/;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+function checkPath(path) {
+    if (!PATH_REGEX.test(path)) {
+        throw new TemplateSyntaxError(`Invalid variable name: ${path}`);
+    }
+    return path;
+}
+
+// Parse a variable expression, with its optional default
+function parseExpression(expression) {
+    const match = expression.match(DEFAULT_REGEX);
+    if (match) {
+        return { path: checkPath(match[1]), fallback: match[2] ?? match[3] ?? match[4] };
+    }
+    return { path: checkPath(expression), fallback: undefined };
+}
+
+// Turn template source into a tree of text, variable and conditional nodes
+export function parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    const current = () => stack[stack.length - 1];
+
+    for (const match of source.matchAll(TAG_REGEX)) {
+        if (match.index > lastIndex) {
+            current().children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        if (match[1] !== undefined) {
+            current().children.push({ type: 'variable', raw: true, ...parseExpression(match[1]) });
+            continue;
+        }
+
+        const tag = match[2];
+        const open = tag.match(/^#(if|unless)\s+(.+)$/);
+
+        if (open) {
+            const node = { type: open[1], path: checkPath(open[2].trim()), children: [], alternate: null };
+            current().children.push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            const node = current();
+            if (node === root || node.alternate) {
+                throw new TemplateSyntaxError('{{else}} without a matching {{#if}}');
+            }
+            node.consequent = node.children;
+            node.alternate = [];
+            node.children = node.alternate;
+        } else if (/^\/(if|unless)$/.test(tag)) {
+            const node = stack.pop();
+            if (node === root || `/${node.type}` !== tag) {
+                throw new TemplateSyntaxError(`Unexpected {{${tag}}}`);
+            }
+            if (node.alternate) {
+                node.children = node.consequent;
+                delete node.consequent;
+            }
+        } else {
+            current().children.push({ type: 'variable', raw: false, ...parseExpression(tag) });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new TemplateSyntaxError(`Unclosed {{#${current().type} ${current().path}}}`);
+    }
+
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.children;
+}
+
+const lookup = (variables, path) =>
+    path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+function renderNodes(nodes, variables, options, missing) {
+    return nodes.map((node) => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        if (node.type === 'variable') {
+            let value = lookup(variables, node.path);
+            if (isEmpty(value)) {
+                if (node.fallback === undefined) {
+                    missing.add(node.path);
+                    return '';
+                }
+                value = node.fallback;
+            }
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return options.escape && !node.raw ? escapeHtml(text) : text;
+        }
+
+        const condition = isTruthy(lookup(variables, node.path));
+        const branch = (node.type === 'if') === condition ? node.children : node.alternate;
+        return branch ? renderNodes(branch, variables, options, missing) : '';
+    }).join('');
+}
+
+// Render template source. Returns the output and the variables that had no value or default.
+export function render(source, variables = {}, { escape = false } = {}) {
+    const missing = new Set();
+    const output = renderNodes(parse(source), variables, { escape }, missing);
+    return { output, missing: [...missing] };
+}
+
+// The content fields a template defines for each channel, and whether they are HTML
+export const TEMPLATE_FIELDS = {
+    push: { title: false, body: false },
+    email: { subject: false, body: true },
+    sms: { body: false }
+};
+
+// Render every content field of a stored template with its defaults applied
+export function renderTemplate(template, variables = {}) {
+    const merged = { ...template.defaults, ...variables };
+    const missing = new Set();
+    const rendered = {};
+
+    for (const [field, isHtml] of Object.entries(TEMPLATE_FIELDS[template.channel])) {
+        const result = render(template[field] || '', merged, { escape: isHtml });
+        rendered[field] = result.output;
+        result.missing.forEach((name) => missing.add(name));
+    }
+
+    return { rendered, missing: [...missing] };
+}
@@ -0,0 +1,211 @@
+// Bulk user import from CSV or JSON rows. Rows are mapped onto OneSignal users up front; invalid
+// rows are kept as failures so the error report covers them. Creating the users runs in the
+// background, one import at a time, at most IMPORT_RATE_PER_SECOND users per second.
+//
+// Imports live in the import store with their progress, so an import cut off by a restart carries on
+// from the last finished window; re-creating a user that already exists only updates it.
+//
+// Mapping (column or JSON key per field; tags map tag keys to columns, or list columns kept as is):
+//   { "externalId": "user_id", "email": "Email", "phoneNumber": "Phone", "tags": { "plan": "Plan" } }
+import { EMAIL_REGEX, PHONE_REGEX } from '../middleware/validation.js';
+import { runWithConcurrency } from './batch.js';
+import { CircuitOpenError } from './circuitBreaker.js';
+import logger from './logger.js';
+import imports from '../stores/imports.js';
+
+export const DEFAULT_MAPPING = { externalId: 'external_id', email: 'email', phoneNumber: 'phone', tags: {} };
+
+export const importMaxRows = () => Number(process.env.IMPORT_MAX_ROWS) || 100000;
+
+const ratePerSecond = () => Number(process.env.IMPORT_RATE_PER_SECOND) || 10;
+
+const concurrency = () => Number(process.env.BATCH_CONCURRENCY) || 4;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fill in default columns; a tag list maps each column to a tag of the same name
+export function normalizeMapping(mapping = {}) {
+    const tags = Array.isArray(mapping.tags)
+        ? Object.fromEntries(mapping.tags.map((column) => [column, column]))
+        : mapping.tags || {};
+    return { ...DEFAULT_MAPPING, ...mapping, tags };
+}
+
+// Turn one uploaded record into the user to create, or the reason it cannot be imported
+export function mapRecord(record, mapping) {
+    const value = (column) => {
+        const raw = record[column];
+        if (raw === undefined || raw === null) {
+            return '';
+        }
+        return (typeof raw === 'object' ? JSON.stringify(raw) : String(raw)).trim();
+    };
+
+    const externalId = value(mapping.externalId);
+    if (!externalId) {
+        return { user: null, error: `Missing ${mapping.externalId}` };
+    }
+
+    const email = value(mapping.email) || null;
+    if (email && !EMAIL_REGEX.test(email)) {
+        return { user: null, error: `Invalid email address: ${email}` };
+    }
+
+    const phoneNumber = value(mapping.phoneNumber) || null;
+    if (phoneNumber && !PHONE_REGEX.test(phoneNumber)) {
+        return { user: null, error: `Invalid phone number (E.164 expected): ${phoneNumber}` };
+    }
+
+    const tags = Object.fromEntries(
+        Object.entries(mapping.tags)
+            .map(([key, column]) => [key, value(column)])
+            .filter(([, tagValue]) => tagValue !== '')
+    );
+
+    return { user: { externalId, email, phoneNumber, tags }, error: null };
+}
+
+// Map every record; rows are numbered from 1 in upload order
+export function prepareRows(records, mapping) {
+    const seen = new Map();
+
+    return records.map((record, index) => {
+        const row = index + 1;
+        let { user, error } = mapRecord(record, mapping);
+
+        if (user && seen.has(user.externalId)) {
+            error = `Duplicate ${mapping.externalId} ${user.externalId} (first on row ${seen.get(user.externalId)})`;
+            user = null;
+        } else if (user) {
+            seen.set(user.externalId, row);
+        }
+
+        return { row, record, user, error };
+    });
+}
+
+class UserImporter {
+    constructor() {
+        this.provider = null;
+        this.active = null;
+        this.stopped = false;
+    }
+
+    // Start working through pending imports with `provider`, picking up any a restart cut off
+    start(provider) {
+        this.provider = provider;
+        this.stopped = false;
+        const pending = imports.list().filter((record) => ['queued', 'running'].includes(record.status));
+        logger.info('User importer started', { pendingImports: pending.length });
+        this.next();
+    }
+
+    // Stop after the current window; an import cut off here carries on at the next start
+    async stop() {
+        this.stopped = true;
+        await this.active;
+    }
+
+    async create({ format, mapping, rows, caller = null }) {
+        const record = await imports.create({ format, mapping, caller }, rows);
+        logger.info('User import queued', { importId: record.id, rows: rows.length });
+        this.next();
+        return record;
+    }
+
+    // Run the oldest pending import unless one is already running
+    next() {
+        if (!this.provider || this.active || this.stopped) {
+            return;
+        }
+
+        const pending = imports.list()
+            .filter((record) => ['queued', 'running'].includes(record.status))
+            .reverse()[0];
+        if (!pending) {
+            return;
+        }
+
+        this.active = this.run(pending.id)
+            .catch(async (error) => {
+                logger.error('User import failed', { importId: pending.id, error });
+                await imports.update(pending.id, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+            })
+            .finally(() => {
+                this.active = null;
+                this.next();
+            });
+    }
+
+    async run(id) {
+        const rows = imports.rows(id);
+        let record = imports.get(id);
+        record = await imports.update(id, { status: 'running', startedAt: record.startedAt || new Date().toISOString() });
+
+        const rate = ratePerSecond();
+        let offset = record.processed;
+
+        while (offset < rows.length) {
+            if (this.stopped) {
+                return record;
+            }
+
+            const windowStart = Date.now();
+            const window = rows.slice(offset, offset + rate);
+            const failures = [];
+            let succeeded = 0;
+            let retryAt = null;
+
+            await runWithConcurrency(window.map((row) => async () => {
+                if (row.error) {
+                    failures.push({ row: row.row, record: row.record, error: row.error });
+                    return;
+                }
+
+                try {
+                    await this.provider.createUser(row.user);
+                    succeeded++;
+                } catch (error) {
+                    if (error instanceof CircuitOpenError) {
+                        retryAt = Math.max(retryAt || 0, error.retryAt);
+                        return;
+                    }
+                    failures.push({ row: row.row, record: row.record, error: error.message });
+                }
+            }), concurrency());
+
+            // While OneSignal is unavailable the window waits and runs again instead of failing its rows
+            if (retryAt) {
+                logger.warn('User import waiting for OneSignal', { importId: id, until: new Date(retryAt).toISOString() });
+                await sleep(Math.max(retryAt - Date.now(), 1000));
+                continue;
+            }
+
+            failures.sort((a, b) => a.row - b.row);
+            await imports.addErrors(id, failures);
+
+            offset += window.length;
+            record = await imports.update(id, {
+                processed: offset,
+                succeeded: record.succeeded + succeeded,
+                failed: record.failed + failures.length
+            });
+
+            const remaining = 1000 - (Date.now() - windowStart);
+            if (offset < rows.length && remaining > 0) {
+                await sleep(remaining);
+            }
+        }
+
+        logger.info('User import finished', { importId: id, succeeded: record.succeeded, failed: record.failed });
+        return imports.update(id, { status: 'completed', finishedAt: new Date().toISOString() });
+    }
+
+    // Failed rows of an import, one per row; a window repeated after a restart may have logged a row twice
+    failedRows(id) {
+        const byRow = new Map(imports.errors(id).map((failure) => [failure.row, failure]));
+        return [...byRow.values()].sort((a, b) => a.row - b.row);
+    }
+}
+
+export default new UserImporter();
@@ -0,0 +1,68 @@
+// Delivery and engagement events reported by OneSignal webhooks, appended as JSON lines. Events are
+// indexed by notification id, kept for DELIVERY_EVENT_RETENTION_DAYS and the file is compacted on load.
+import JsonLinesFile from './jsonLinesFile.js';
+import logger from '../services/logger.js';
+
+const retentionMs = () => (Number(process.env.DELIVERY_EVENT_RETENTION_DAYS) || 90) * 86400000;
+
+// Expired events are dropped from memory at most this often
+const PRUNE_INTERVAL_MS = 3600000;
+
+class DeliveryEventStore {
+    constructor(fileName = 'delivery-events.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.events = this.file.readAll();
+        this.prune();
+
+        this.file.rewrite(this.events).catch((error) => {
+            logger.error('Delivery event store compaction failed', { error });
+        });
+    }
+
+    // Drop events past the retention period from memory and rebuild the indexes
+    prune() {
+        const cutoff = new Date(Date.now() - retentionMs()).toISOString();
+        this.events = this.events.filter((event) => event.receivedAt >= cutoff);
+
+        this.ids = new Set();
+        this.byNotification = new Map();
+        for (const event of this.events) {
+            this.index(event);
+        }
+        this.prunedAt = Date.now();
+    }
+
+    index(event) {
+        this.ids.add(event.id);
+        if (event.notificationId) {
+            if (!this.byNotification.has(event.notificationId)) {
+                this.byNotification.set(event.notificationId, []);
+            }
+            this.byNotification.get(event.notificationId).push(event);
+        }
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    async add(event) {
+        this.events.push(event);
+        this.index(event);
+        if (Date.now() - this.prunedAt > PRUNE_INTERVAL_MS) {
+            this.prune();
+        }
+        await this.file.append(event);
+        return event;
+    }
+
+    forNotification(notificationId) {
+        return this.byNotification.get(notificationId) || [];
+    }
+
+    all() {
+        return this.events;
+    }
+}
+
+export default new DeliveryEventStore();
@@ -0,0 +1,64 @@
+// Which users were triggered into which journey, how and when. Each change appends the enrollment's
+// latest snapshot as a JSON line; the last line for an id wins when the store loads.
+//
+// OneSignal runs the journeys themselves and does not report membership back, so this is the local
+// record of what this service triggered, not of where a user is inside a journey.
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+
+class EnrollmentStore {
+    constructor(fileName = 'enrollments.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.enrollments = new Map(this.file.readAll().map((enrollment) => [enrollment.id, enrollment]));
+    }
+
+    get(id) {
+        return this.enrollments.get(id) || null;
+    }
+
+    // Newest first
+    list({ journey, externalId, status, caller } = {}) {
+        return [...this.enrollments.values()]
+            .filter((enrollment) => !journey || enrollment.journey === journey)
+            .filter((enrollment) => !externalId || enrollment.externalId === externalId)
+            .filter((enrollment) => !status || enrollment.status === status)
+            .filter((enrollment) => !caller || enrollment.caller === caller)
+            .sort((a, b) => b.enrolledAt.localeCompare(a.enrolledAt));
+    }
+
+    // The user's current enrollment in a journey, or null
+    active(journey, externalId) {
+        return this.list({ journey, externalId, status: 'enrolled' })[0] || null;
+    }
+
+    async save(enrollment) {
+        this.enrollments.set(enrollment.id, enrollment);
+        await this.file.append(enrollment);
+        return enrollment;
+    }
+
+    async create(data) {
+        const now = new Date().toISOString();
+        return this.save({
+            id: crypto.randomUUID(),
+            status: 'enrolled',
+            triggerCount: 1,
+            exitedAt: null,
+            ...data,
+            enrolledAt: now,
+            lastTriggeredAt: now,
+            updatedAt: now
+        });
+    }
+
+    async update(id, changes) {
+        const existing = this.enrollments.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        return this.save({ ...existing, ...changes, updatedAt: new Date().toISOString() });
+    }
+}
+
+export default new EnrollmentStore();
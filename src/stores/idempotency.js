@@ -0,0 +1,85 @@
+// Responses remembered per Idempotency-Key so retried sends are answered without resending
+import JsonLinesFile from './jsonLinesFile.js';
+import logger from '../services/logger.js';
+
+const ttlMs = () => (Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400) * 1000;
+
+// Expired keys are swept from memory at most this often
+const SWEEP_INTERVAL_MS = 60000;
+
+class IdempotencyStore {
+    constructor(fileName = 'idempotency.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.entries = new Map();
+        this.sweptAt = Date.now();
+
+        // Only completed responses are persisted; expired ones are dropped when the file is compacted
+        const now = Date.now();
+        const live = this.file.readAll().filter((entry) => entry.expiresAt > now);
+        for (const entry of live) {
+            this.entries.set(entry.key, entry);
+        }
+        this.file.rewrite([...this.entries.values()]).catch((error) => {
+            logger.error('Idempotency store compaction failed', { error });
+        });
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // Drop expired keys, including those never asked for again
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+        this.sweptAt = now;
+    }
+
+    // Claim `key` for a new request. Returns the existing entry instead when the key is taken.
+    begin(key, fingerprint) {
+        if (Date.now() - this.sweptAt > SWEEP_INTERVAL_MS) {
+            this.sweep();
+        }
+
+        const existing = this.get(key);
+        if (existing) {
+            return existing;
+        }
+
+        this.entries.set(key, {
+            key,
+            fingerprint,
+            state: 'in_flight',
+            expiresAt: Date.now() + ttlMs()
+        });
+        return null;
+    }
+
+    async complete(key, status, body) {
+        const entry = {
+            ...this.entries.get(key),
+            state: 'completed',
+            status,
+            body,
+            completedAt: new Date().toISOString()
+        };
+        this.entries.set(key, entry);
+        await this.file.append(entry);
+    }
+
+    // Forget a key whose request failed upstream so the client can retry it
+    release(key) {
+        this.entries.delete(key);
+    }
+}
+
+export default new IdempotencyStore();
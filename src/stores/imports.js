@@ -0,0 +1,86 @@
+// Bulk user imports. Each change to an import appends its latest snapshot to imports.jsonl; the
+// last line for an id wins when the store loads. An import's rows and failed rows live in their own
+// files under imports/, so progress updates stay small however large the upload.
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+
+class ImportStore {
+    constructor(fileName = 'imports.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.imports = new Map(this.file.readAll().map((record) => [record.id, record]));
+    }
+
+    rowsFile(id) {
+        return new JsonLinesFile(`imports/${id}-rows.jsonl`);
+    }
+
+    errorsFile(id) {
+        return new JsonLinesFile(`imports/${id}-errors.jsonl`);
+    }
+
+    get(id) {
+        return this.imports.get(id) || null;
+    }
+
+    // Newest first
+    list({ status, caller } = {}) {
+        return [...this.imports.values()]
+            .filter((record) => !status || record.status === status)
+            .filter((record) => !caller || record.caller === caller)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async save(record) {
+        this.imports.set(record.id, record);
+        await this.file.append(record);
+        return record;
+    }
+
+    // Store the rows first, so an import that exists always has its rows
+    async create(data, rows) {
+        const id = crypto.randomUUID();
+        await this.rowsFile(id).rewrite(rows);
+
+        const now = new Date().toISOString();
+        return this.save({
+            id,
+            status: 'queued',
+            total: rows.length,
+            processed: 0,
+            succeeded: 0,
+            failed: 0,
+            error: null,
+            startedAt: null,
+            finishedAt: null,
+            ...data,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    async update(id, changes) {
+        const existing = this.imports.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        return this.save({ ...existing, ...changes, updatedAt: new Date().toISOString() });
+    }
+
+    rows(id) {
+        return this.rowsFile(id).readAll();
+    }
+
+    async addErrors(id, failures) {
+        const file = this.errorsFile(id);
+        for (const failure of failures) {
+            await file.append(failure);
+        }
+    }
+
+    errors(id) {
+        return this.errorsFile(id).readAll();
+    }
+}
+
+export default new ImportStore();
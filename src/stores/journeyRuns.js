@@ -0,0 +1,65 @@
+// Each user's progress through a local journey: the step they are on, when it is due and every step
+// taken so far. Each change appends the run's latest snapshot as a JSON line; the last line for an
+// id wins when the store loads.
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+
+class JourneyRunStore {
+    constructor(fileName = 'journey-runs.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.runs = new Map(this.file.readAll().map((run) => [run.id, run]));
+    }
+
+    get(id) {
+        return this.runs.get(id) || null;
+    }
+
+    // Newest first
+    list({ journey, externalId, status, caller } = {}) {
+        return [...this.runs.values()]
+            .filter((run) => !journey || run.journey === journey)
+            .filter((run) => !externalId || run.externalId === externalId)
+            .filter((run) => !status || run.status === status)
+            .filter((run) => !caller || run.caller === caller)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // The user's unfinished run of a journey, active or paused, or null
+    current(journey, externalId) {
+        return this.list({ journey, externalId }).find((run) => ['active', 'paused'].includes(run.status)) || null;
+    }
+
+    async save(run) {
+        this.runs.set(run.id, run);
+        await this.file.append(run);
+        return run;
+    }
+
+    async create(data) {
+        const now = new Date().toISOString();
+        return this.save({
+            id: crypto.randomUUID(),
+            status: 'active',
+            properties: {},
+            history: [],
+            attempts: 0,
+            lastError: null,
+            pausedAt: null,
+            endedAt: null,
+            ...data,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    async update(id, changes) {
+        const existing = this.runs.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        return this.save({ ...existing, ...changes, updatedAt: new Date().toISOString() });
+    }
+}
+
+export default new JourneyRunStore();
@@ -0,0 +1,75 @@
+// Append-only JSON-lines file, one record per line
+import fs from 'fs';
+import path from 'path';
+import logger from '../services/logger.js';
+
+export const dataDir = () => process.env.DATA_DIR || 'data';
+
+// Writes of every file not yet on disk, so shutdown can wait for them
+const pendingWrites = new Set();
+
+export const flushWrites = () => Promise.allSettled([...pendingWrites]);
+
+// Whether the data directory can be written to: a probe file is written and removed again
+export async function checkDataDir() {
+    const probePath = path.join(dataDir(), `.probe-${process.pid}`);
+    await fs.promises.mkdir(dataDir(), { recursive: true });
+    await fs.promises.writeFile(probePath, 'ok');
+    await fs.promises.unlink(probePath);
+}
+
+class JsonLinesFile {
+    constructor(fileName) {
+        this.filePath = path.join(dataDir(), fileName);
+        this.writeChain = Promise.resolve();
+    }
+
+    // Read every record synchronously; used once when a store starts up
+    readAll() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter((line) => line.trim())
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    // A torn last line from a crash mid-write is skipped, not fatal
+                    logger.warn('Skipping corrupt line', { file: this.filePath });
+                    return [];
+                }
+            });
+    }
+
+    // Writes are serialized so concurrent writers never interleave lines
+    enqueue(operation) {
+        const write = this.writeChain.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await operation();
+        });
+        this.writeChain = write.catch(() => {});
+        pendingWrites.add(write);
+        write.finally(() => pendingWrites.delete(write)).catch(() => {});
+        return write;
+    }
+
+    append(record) {
+        return this.enqueue(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`));
+    }
+
+    // Replace the whole file, e.g. to compact away expired records; written atomically via rename.
+    // The records are serialized now, so lines appended while earlier writes finish are not written twice.
+    rewrite(records) {
+        const content = records.map((record) => `${JSON.stringify(record)}\n`).join('');
+        return this.enqueue(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, content);
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+    }
+}
+
+export default JsonLinesFile;
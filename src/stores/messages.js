@@ -0,0 +1,54 @@
+// Multi-channel messages and their per-channel attempts. Each change appends the message's latest
+// snapshot as a JSON line; the last line for an id wins when the store loads.
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+
+class MessageStore {
+    constructor(fileName = 'messages.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.messages = new Map(this.file.readAll().map((message) => [message.id, message]));
+    }
+
+    get(id) {
+        return this.messages.get(id) || null;
+    }
+
+    list({ status, caller } = {}) {
+        return [...this.messages.values()]
+            .filter((message) => !status || message.status === status)
+            .filter((message) => !caller || message.caller === caller);
+    }
+
+    async save(message) {
+        this.messages.set(message.id, message);
+        await this.file.append(message);
+        return message;
+    }
+
+    async create(data) {
+        const now = new Date().toISOString();
+        return this.save({
+            id: crypto.randomUUID(),
+            status: 'pending',
+            channel: null,
+            notificationId: null,
+            attempts: [],
+            nextIndex: 0,
+            fallbackAt: null,
+            ...data,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    async update(id, changes) {
+        const existing = this.messages.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        return this.save({ ...existing, ...changes, updatedAt: new Date().toISOString() });
+    }
+}
+
+export default new MessageStore();
@@ -0,0 +1,193 @@
+// Local record of every notification sent through OneSignalService
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+import logger from '../services/logger.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const retentionMs = () => (Number(process.env.OUTBOX_RETENTION_DAYS) || 90) * 86400000;
+
+// Expired records are dropped from memory at most this often
+const PRUNE_INTERVAL_MS = 3600000;
+
+const encodeCursor = (seq) => Buffer.from(String(seq)).toString('base64url');
+const decodeCursor = (cursor) => Number(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+// Whether `cursor` is one the history endpoints handed out
+export function isValidCursor(cursor) {
+    const seq = decodeCursor(cursor);
+    return Number.isSafeInteger(seq) && seq > 0 && encodeCursor(seq) === cursor;
+}
+
+// The file holds send records plus `{ patch: <record id>, changes }` lines for later updates,
+// so it stays append-only; patches are applied in order when the outbox loads. Records older than
+// OUTBOX_RETENTION_DAYS are dropped, unless still scheduled to send, and the file is compacted on load.
+class Outbox {
+    constructor(fileName = 'outbox.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.records = [];
+        this.byId = new Map();
+
+        for (const line of this.file.readAll()) {
+            if (line.patch) {
+                Object.assign(this.byId.get(line.patch) || {}, line.changes);
+            } else {
+                this.records.push(line);
+                this.byId.set(line.id, line);
+            }
+        }
+
+        this.nextSeq = this.records.reduce((max, record) => Math.max(max, record.seq), 0) + 1;
+
+        this.prune();
+        this.file.rewrite(this.records).catch((error) => {
+            logger.error('Outbox compaction failed', { error });
+        });
+    }
+
+    // Drop records past the retention period from memory
+    prune() {
+        const cutoff = new Date(Date.now() - retentionMs()).toISOString();
+        const now = new Date().toISOString();
+        const expired = (record) => record.createdAt < cutoff &&
+            !(record.scheduledFor && new Date(record.scheduledFor).toISOString() > now);
+
+        for (const record of this.records.filter(expired)) {
+            this.byId.delete(record.id);
+        }
+        this.records = this.records.filter((record) => !expired(record));
+        this.prunedAt = Date.now();
+    }
+
+    // Store one send attempt, or a send suppressed before it reached OneSignal; returns the stored record
+    async record({
+        channel,
+        method,
+        payload,
+        response = null,
+        error = null,
+        suppressed = null,
+        caller = null,
+        category = null,
+        contentHash = null
+    }) {
+        const record = {
+            id: crypto.randomUUID(),
+            seq: this.nextSeq++,
+            channel,
+            method,
+            status: error ? 'failed' : suppressed ? 'suppressed' : 'sent',
+            notificationId: response?.id || null,
+            recipients: response?.recipients ?? null,
+            userIds: payload.include_aliases?.external_id || [],
+            emails: payload.include_email_tokens || [],
+            phoneNumbers: payload.include_phone_numbers || [],
+            segment: payload.included_segments?.[0] || null,
+            campaign: payload.name || null,
+            category,
+            contentHash,
+            scheduledFor: payload.send_after || null,
+            caller,
+            payload,
+            error,
+            suppressedReason: suppressed?.reason || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.records.push(record);
+        this.byId.set(record.id, record);
+        if (Date.now() - this.prunedAt > PRUNE_INTERVAL_MS) {
+            this.prune();
+        }
+        await this.file.append(record);
+        return record;
+    }
+
+    // Update a stored record, e.g. when its notification is cancelled
+    async update(id, changes) {
+        const record = this.byId.get(id);
+        if (!record) {
+            return null;
+        }
+
+        const patch = { ...changes, updatedAt: new Date().toISOString() };
+        Object.assign(record, patch);
+        await this.file.append({ patch: id, changes: patch });
+        return record;
+    }
+
+    findByNotificationId(notificationId) {
+        return this.records.find((record) => record.notificationId === notificationId) || null;
+    }
+
+    // The latest send handed to OneSignal with this idempotency key
+    findByIdempotencyKey(idempotencyKey) {
+        return this.records.findLast((record) =>
+            record.status !== 'suppressed' && record.payload?.idempotency_key === idempotencyKey) || null;
+    }
+
+    // Successful sends made since `since` to a recipient named by external id, email address or phone
+    // number, newest first
+    sentTo({ userId = null, email = null, phoneNumber = null }, { since }) {
+        const matches = [];
+        for (let i = this.records.length - 1; i >= 0 && this.records[i].createdAt >= since; i--) {
+            const record = this.records[i];
+            const reached = (userId && record.userIds.includes(userId)) ||
+                (email && record.emails.includes(email)) ||
+                (phoneNumber && record.phoneNumbers.includes(phoneNumber));
+            if (record.status === 'sent' && record.notificationId && reached) {
+                matches.push(record);
+            }
+        }
+        return matches;
+    }
+
+    // Sends handed to OneSignal with a send_after that has not passed yet
+    pendingScheduled({ channel, caller } = {}) {
+        const now = new Date().toISOString();
+        return this.records.filter((record) =>
+            record.status === 'sent' &&
+            record.scheduledFor &&
+            new Date(record.scheduledFor).toISOString() > now &&
+            (!channel || record.channel === channel) &&
+            (!caller || record.caller === caller)
+        );
+    }
+
+    // Newest-first page of records matching the filters, with a cursor for the next page
+    query({ channel, userId, email, phoneNumber, segment, caller, from, to, cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+        const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const before = cursor ? decodeCursor(cursor) : Infinity;
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+
+        const items = [];
+        for (let i = this.records.length - 1; i >= 0 && items.length <= pageSize; i--) {
+            const record = this.records[i];
+            const createdAt = Date.parse(record.createdAt);
+
+            if (record.seq >= before) continue;
+            if (channel && record.channel !== channel) continue;
+            if (userId && !record.userIds.includes(userId)) continue;
+            if (email && !record.emails.includes(email)) continue;
+            if (phoneNumber && !record.phoneNumbers?.includes(phoneNumber)) continue;
+            if (segment && record.segment !== segment) continue;
+            if (caller && record.caller !== caller) continue;
+            if (createdAt < fromTime || createdAt > toTime) continue;
+
+            items.push(record);
+        }
+
+        // One extra item was collected to know whether another page exists
+        const hasMore = items.length > pageSize;
+        const page = items.slice(0, pageSize);
+
+        return {
+            items: page,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1].seq) : null
+        };
+    }
+}
+
+export default new Outbox();
@@ -0,0 +1,62 @@
+// Notification preferences per user, keyed by external id, kept in memory and persisted as JSON lines
+import JsonLinesFile from './jsonLinesFile.js';
+
+const EDITABLE_FIELDS = ['categories', 'channels', 'quietHours', 'timezone', 'email', 'phoneNumber'];
+
+const pick = (source, fields) =>
+    Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+class PreferenceStore {
+    constructor(fileName = 'preferences.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.preferences = new Map(this.file.readAll().map((record) => [record.externalId, record]));
+    }
+
+    persist() {
+        return this.file.rewrite([...this.preferences.values()]);
+    }
+
+    get(externalId) {
+        return this.preferences.get(externalId) || null;
+    }
+
+    // Preferences recorded with this email address or phone number, for sends that only name the address
+    findByContact(field, value) {
+        return [...this.preferences.values()].find((record) => record[field] === value) || null;
+    }
+
+    // Merge into the user's preferences; categories and channels merge key by key
+    async save(externalId, data) {
+        const existing = this.preferences.get(externalId);
+        const changes = pick(data, EDITABLE_FIELDS);
+        const now = new Date().toISOString();
+
+        const record = {
+            externalId,
+            categories: {},
+            channels: {},
+            quietHours: null,
+            timezone: 'UTC',
+            createdAt: now,
+            ...existing,
+            ...changes,
+            updatedAt: now
+        };
+        record.categories = { ...existing?.categories, ...changes.categories };
+        record.channels = { ...existing?.channels, ...changes.channels };
+
+        this.preferences.set(externalId, record);
+        await this.persist();
+        return record;
+    }
+
+    async remove(externalId) {
+        const existed = this.preferences.delete(externalId);
+        if (existed) {
+            await this.persist();
+        }
+        return existed;
+    }
+}
+
+export default new PreferenceStore();
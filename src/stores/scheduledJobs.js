@@ -0,0 +1,76 @@
+// Locally scheduled sends, kept in memory and persisted as JSON lines so they survive restarts. Each
+// change appends the job's latest snapshot; the last line for an id wins when the store loads.
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+import logger from '../services/logger.js';
+
+// Only the latest runs of a recurring job are kept
+const MAX_RUN_HISTORY = 20;
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+const retentionMs = () => (Number(process.env.SCHEDULER_RETENTION_DAYS) || 30) * 86400000;
+
+class ScheduledJobStore {
+    constructor(fileName = 'scheduled-jobs.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.jobs = new Map(this.file.readAll().map((job) => [job.id, job]));
+
+        // Compact to one line per job, dropping finished jobs not changed for SCHEDULER_RETENTION_DAYS
+        const cutoff = new Date(Date.now() - retentionMs()).toISOString();
+        for (const job of this.jobs.values()) {
+            if (FINISHED_STATUSES.includes(job.status) && job.updatedAt < cutoff) {
+                this.jobs.delete(job.id);
+            }
+        }
+        this.file.rewrite([...this.jobs.values()]).catch((error) => {
+            logger.error('Scheduled job store compaction failed', { error });
+        });
+    }
+
+    async save(job) {
+        this.jobs.set(job.id, job);
+        await this.file.append(job);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    list({ status, channel, caller } = {}) {
+        return [...this.jobs.values()]
+            .filter((job) => !status || job.status === status)
+            .filter((job) => !channel || job.channel === channel)
+            .filter((job) => !caller || job.caller === caller)
+            .sort((a, b) => (a.runAt || '').localeCompare(b.runAt || ''));
+    }
+
+    async create(data) {
+        const now = new Date().toISOString();
+        return this.save({
+            id: crypto.randomUUID(),
+            status: 'scheduled',
+            attempts: 0,
+            runs: [],
+            lastError: null,
+            ...data,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    async update(id, changes) {
+        const existing = this.jobs.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const job = { ...existing, ...changes, updatedAt: new Date().toISOString() };
+        job.runs = job.runs.slice(-MAX_RUN_HISTORY);
+
+        return this.save(job);
+    }
+}
+
+export default new ScheduledJobStore();
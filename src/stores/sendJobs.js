@@ -0,0 +1,75 @@
+// Queued sends for the async send queue. Each change appends the job's latest snapshot as a JSON
+// line; the last line for an id wins when the store loads.
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+import logger from '../services/logger.js';
+
+const retentionMs = () => (Number(process.env.SEND_QUEUE_RETENTION_DAYS) || 7) * 86400000;
+
+class SendJobStore {
+    constructor(fileName = 'send-jobs.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.jobs = new Map(this.file.readAll().map((job) => [job.id, job]));
+
+        // Compact to one line per job, dropping completed jobs past SEND_QUEUE_RETENTION_DAYS; dead jobs
+        // are kept until they are retried
+        const cutoff = new Date(Date.now() - retentionMs()).toISOString();
+        for (const job of this.jobs.values()) {
+            if (job.status === 'completed' && job.finishedAt < cutoff) {
+                this.jobs.delete(job.id);
+            }
+        }
+        this.file.rewrite([...this.jobs.values()]).catch((error) => {
+            logger.error('Send job store compaction failed', { error });
+        });
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Newest first
+    list({ status, channel, caller } = {}) {
+        return [...this.jobs.values()]
+            .filter((job) => !status || job.status === status)
+            .filter((job) => !channel || job.channel === channel)
+            .filter((job) => !caller || job.caller === caller)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async save(job) {
+        this.jobs.set(job.id, job);
+        await this.file.append(job);
+        return job;
+    }
+
+    async create(data) {
+        const now = new Date().toISOString();
+        return this.save({
+            id: crypto.randomUUID(),
+            status: 'queued',
+            attempts: 0,
+            notificationId: null,
+            result: null,
+            error: null,
+            code: null,
+            startedAt: null,
+            finishedAt: null,
+            nextAttemptAt: now,
+            ...data,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    async update(id, changes) {
+        const existing = this.jobs.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        return this.save({ ...existing, ...changes, updatedAt: new Date().toISOString() });
+    }
+}
+
+export default new SendJobStore();
@@ -0,0 +1,75 @@
+// Named push and email templates, kept in memory and persisted as JSON lines
+import crypto from 'crypto';
+import JsonLinesFile from './jsonLinesFile.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'channel', 'title', 'subject', 'body', 'defaults'];
+
+const pick = (source, fields) =>
+    Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+class TemplateStore {
+    constructor(fileName = 'templates.jsonl') {
+        this.file = new JsonLinesFile(fileName);
+        this.templates = new Map(this.file.readAll().map((template) => [template.id, template]));
+    }
+
+    persist() {
+        return this.file.rewrite([...this.templates.values()]);
+    }
+
+    list({ channel } = {}) {
+        return [...this.templates.values()].filter((template) => !channel || template.channel === channel);
+    }
+
+    get(id) {
+        return this.templates.get(id) || null;
+    }
+
+    // Returns null when a template with the same id already exists
+    async create(data) {
+        const id = data.id || crypto.randomUUID();
+        if (this.templates.has(id)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const template = {
+            id,
+            defaults: {},
+            ...pick(data, EDITABLE_FIELDS),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.templates.set(id, template);
+        await this.persist();
+        return template;
+    }
+
+    async update(id, data) {
+        const existing = this.templates.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const template = {
+            ...existing,
+            ...pick(data, EDITABLE_FIELDS),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.templates.set(id, template);
+        await this.persist();
+        return template;
+    }
+
+    async remove(id) {
+        const existed = this.templates.delete(id);
+        if (existed) {
+            await this.persist();
+        }
+        return existed;
+    }
+}
+
+export default new TemplateStore();
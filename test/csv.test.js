@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { CsvError, parseCsv, parseCsvRecords, toCsv } from '../src/services/csv.js';
+
+test('fields are split on commas and rows on LF or CRLF', () => {
+    assert.deepEqual(parseCsv('a,b\r\n1,2\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('name,note\n"Doe, Jane","said ""hi""\nthen left"\n'), [
+        ['name', 'note'],
+        ['Doe, Jane', 'said "hi"\nthen left']
+    ]);
+});
+
+test('empty fields, blank lines and a trailing line break', () => {
+    assert.deepEqual(parseCsv('a,,c\n\n,,\n'), [['a', '', 'c'], ['', '', '']]);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+test('a byte order mark is not part of the first header', () => {
+    assert.deepEqual(parseCsv('﻿external_id\nu1'), [['external_id'], ['u1']]);
+});
+
+test('a quote inside an unquoted field is kept as is', () => {
+    assert.deepEqual(parseCsv('a"b,c'), [['a"b', 'c']]);
+});
+
+test('an unclosed quote names the line it started on', () => {
+    assert.throws(() => parseCsv('a\nb\n"open,field\nmore'), {
+        name: 'CsvError',
+        message: 'Unclosed quoted field starting on line 3'
+    });
+});
+
+test('records are keyed by the trimmed header names, short rows filled with empty strings', () => {
+    assert.deepEqual(parseCsvRecords(' external_id , email\nu1,u1@example.com\nu2'), [
+        { external_id: 'u1', email: 'u1@example.com' },
+        { external_id: 'u2', email: '' }
+    ]);
+});
+
+test('records need a header without duplicate columns', () => {
+    assert.throws(() => parseCsvRecords(''), CsvError);
+    assert.throws(() => parseCsvRecords('email,Email,email\nx,y,z'), {
+        message: 'Column email appears more than once in the header'
+    });
+});
+
+test('written CSV quotes what needs quoting and reads back the same', () => {
+    const records = [
+        { id: 'u1', note: 'plain', data: null },
+        { id: 'u2', note: 'has, comma and "quotes"\nand a line break', data: { plan: 'pro' } }
+    ];
+
+    const text = toCsv(['id', 'note', 'data'], records);
+
+    assert.equal(text.split('\r\n')[0], 'id,note,data');
+    assert.deepEqual(parseCsvRecords(text), [
+        { id: 'u1', note: 'plain', data: '' },
+        { id: 'u2', note: 'has, comma and "quotes"\nand a line break', data: '{"plan":"pro"}' }
+    ]);
+});
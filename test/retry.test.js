@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import CircuitBreaker, { CircuitOpenError } from '../src/services/circuitBreaker.js';
+import { isTransient, withRetry } from '../src/services/retry.js';
+
+test('an open circuit fails on the first attempt instead of being retried', async () => {
+    const breaker = new CircuitBreaker({ name: 'Test', failureThreshold: 1, resetTimeoutMs: 60000 });
+    breaker.onFailure();
+
+    let attempts = 0;
+    const started = Date.now();
+    await assert.rejects(
+        withRetry(() => {
+            attempts++;
+            return breaker.exec(async () => 'sent');
+        }, { idempotent: true, maxRetries: 3, baseDelayMs: 1000 }),
+        CircuitOpenError
+    );
+
+    assert.equal(attempts, 1);
+    assert.ok(Date.now() - started < 500);
+});
+
+test('network errors and 5xx answers are transient, circuit open errors are not', () => {
+    assert.equal(isTransient({ code: 'ECONNRESET' }), true);
+    assert.equal(isTransient({ response: { status: 503 } }), true);
+    assert.equal(isTransient({ response: { status: 400 } }), false);
+    assert.equal(isTransient(new CircuitOpenError('Test', Date.now() + 1000)), false);
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// The stores read DATA_DIR when they are loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+process.env.DATA_DIR = dataDir;
+const { default: scheduler } = await import('../src/services/scheduler.js');
+const { default: jobs } = await import('../src/stores/scheduledJobs.js');
+const { default: preferences } = await import('../src/stores/preferences.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const dueJob = (userId, params = {}) => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    return jobs.create({
+        channel: 'push',
+        action: 'sendPushNotification',
+        params: { userId, title: 'Hello', body: 'World', ...params },
+        runAt: past,
+        nextAttemptAt: past,
+        caller: 'test'
+    });
+};
+
+test('a job cancelled while an earlier job of the same tick is sending is not sent', async () => {
+    const first = await dueJob('first');
+    const second = await dueJob('second');
+    const sent = [];
+
+    scheduler.provider = {
+        async sendPushNotification(params) {
+            sent.push(params.userId);
+            if (params.userId === 'first') {
+                await scheduler.cancel(second.id);
+            }
+            return { id: `notification-${params.userId}`, recipients: 1 };
+        }
+    };
+
+    await scheduler.runDue();
+
+    assert.deepEqual(sent, ['first']);
+    assert.equal(jobs.get(first.id).status, 'completed');
+    assert.equal(jobs.get(second.id).status, 'cancelled');
+});
+
+// A provider that records who each push went to
+const recordSends = () => {
+    const sent = [];
+    scheduler.provider = {
+        async sendPushNotification(params) {
+            sent.push(params.userId);
+            return { id: `notification-${params.userId}`, recipients: 1 };
+        }
+    };
+    return sent;
+};
+
+test('a run to a recipient who has opted out is skipped and recorded', async () => {
+    await preferences.save('opted-out', { categories: { marketing: false } });
+    const job = await dueJob('opted-out', { category: 'marketing' });
+    const sent = recordSends();
+
+    await scheduler.runDue();
+
+    const stored = jobs.get(job.id);
+    assert.deepEqual(sent, []);
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.runs[0].reason, 'category_opt_out');
+});
+
+test('a run in the recipient\'s quiet hours moves to the end of them', async () => {
+    // Quiet hours that began an hour ago and end in two
+    const now = new Date();
+    const end = new Date(now.getTime() + 2 * 60 * 60 * 1000);
+    const time = (date) => `${String(date.getUTCHours()).padStart(2, '0')}:${String(date.getUTCMinutes()).padStart(2, '0')}`;
+    await preferences.save('sleeping', { quietHours: { start: time(new Date(now.getTime() - 60 * 60 * 1000)), end: time(end) }, timezone: 'UTC' });
+    const job = await dueJob('sleeping');
+    const sent = recordSends();
+
+    await scheduler.runDue();
+
+    const stored = jobs.get(job.id);
+    assert.deepEqual(sent, []);
+    assert.equal(stored.status, 'scheduled');
+    assert.ok(Date.parse(stored.runAt) > Date.now() + 60 * 60 * 1000);
+    assert.equal(stored.runAt, stored.nextAttemptAt);
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { smsSegments } from '../src/services/sms.js';
+
+test('GSM-7 text fits 160 characters in one message and 153 per segment after that', () => {
+    assert.deepEqual(smsSegments('a'.repeat(160)), { encoding: 'GSM-7', length: 160, segments: 1 });
+    assert.deepEqual(smsSegments('a'.repeat(161)), { encoding: 'GSM-7', length: 161, segments: 2 });
+    assert.equal(smsSegments('a'.repeat(306)).segments, 2);
+    assert.equal(smsSegments('a'.repeat(307)).segments, 3);
+});
+
+test('GSM-7 extension characters take two places', () => {
+    assert.deepEqual(smsSegments('€{}'), { encoding: 'GSM-7', length: 6, segments: 1 });
+    assert.equal(smsSegments(`${'a'.repeat(159)}€`).segments, 2);
+});
+
+test('accented Latin letters in the GSM-7 alphabet stay GSM-7', () => {
+    assert.equal(smsSegments('Café à Malmö, Ñoño').encoding, 'GSM-7');
+});
+
+test('anything outside GSM-7 is sent as UCS-2 with 70 and 67', () => {
+    assert.deepEqual(smsSegments('ç'.repeat(70)), { encoding: 'UCS-2', length: 70, segments: 1 });
+    assert.deepEqual(smsSegments('Привет'.repeat(12)), { encoding: 'UCS-2', length: 72, segments: 2 });
+    assert.equal(smsSegments('ж'.repeat(134)).segments, 2);
+    assert.equal(smsSegments('ж'.repeat(135)).segments, 3);
+});
+
+test('one character outside GSM-7 switches the whole text to UCS-2', () => {
+    const text = `${'a'.repeat(100)}😀`;
+
+    // The emoji is outside the BMP and takes two UTF-16 code units
+    assert.deepEqual(smsSegments(text), { encoding: 'UCS-2', length: 102, segments: 2 });
+});
+
+test('empty text is one GSM-7 message', () => {
+    assert.deepEqual(smsSegments(''), { encoding: 'GSM-7', length: 0, segments: 1 });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PHONE_REGEX, validateSchema } from '../src/middleware/validation.js';
+
+const fieldsOf = (errors) => errors.map((error) => error.field);
+
+test('every invalid field is reported at once', () => {
+    const schema = {
+        fields: {
+            title: { type: 'string', required: true },
+            body: { type: 'string', required: true },
+            count: { type: 'integer' }
+        }
+    };
+
+    const errors = validateSchema(schema, { count: 1.5 });
+
+    assert.deepEqual(fieldsOf(errors), ['title', 'body', 'count']);
+    assert.equal(errors[2].message, 'count must be an integer');
+});
+
+test('missing optional fields are not checked, and empty strings and null count as missing', () => {
+    const schema = { fields: { email: { type: 'email' }, name: { type: 'string', required: true } } };
+
+    assert.deepEqual(validateSchema(schema, { name: 'Ada' }), []);
+    assert.deepEqual(fieldsOf(validateSchema(schema, { name: '', email: null })), ['name']);
+});
+
+test('required may depend on the other values', () => {
+    const schema = { fields: { body: { type: 'string', required: (values) => !values.templateId } } };
+
+    assert.deepEqual(fieldsOf(validateSchema(schema, {})), ['body']);
+    assert.deepEqual(validateSchema(schema, { templateId: 'welcome' }), []);
+});
+
+test('type errors stop further checks on the same field', () => {
+    const schema = { fields: { title: { type: 'string', maxLength: 3, enum: ['a'] } } };
+
+    assert.deepEqual(validateSchema(schema, { title: 42 }), [{ field: 'title', message: 'title must be a string' }]);
+});
+
+test('enum, range, length and pattern rules', () => {
+    const schema = {
+        fields: {
+            unit: { type: 'string', enum: ['seconds', 'minutes'] },
+            limit: { type: 'number', min: 1, max: 200 },
+            code: { type: 'string', minLength: 2, maxLength: 4, pattern: /^[a-z]+$/, patternMessage: 'code must be lowercase' },
+            name: { type: 'string', nonEmpty: true }
+        }
+    };
+
+    const errors = validateSchema(schema, { unit: 'years', limit: 500, code: 'ABCDE', name: '   ' });
+
+    assert.deepEqual(errors.map((error) => error.message), [
+        'unit must be one of: seconds, minutes',
+        'limit must be at most 200',
+        'code must have a length of at most 4',
+        'code must be lowercase',
+        'name must not be empty'
+    ]);
+});
+
+test('array items and nested properties are named by their path', () => {
+    const schema = {
+        fields: {
+            tags: { type: 'array', items: { type: 'string' } },
+            quietHours: {
+                type: 'object',
+                properties: { start: { type: 'string', required: true }, end: { type: 'string', required: true } }
+            }
+        }
+    };
+
+    const errors = validateSchema(schema, { tags: ['a', '', 3], quietHours: { start: '22:00' } });
+
+    assert.deepEqual(fieldsOf(errors), ['tags[1]', 'tags[2]', 'quietHours.end']);
+});
+
+test('custom rules receive the value, all values and the field name', () => {
+    const schema = {
+        fields: {
+            to: {
+                type: 'string',
+                custom: (value, values, field) => (value < values.from ? `${field} must not be before from` : null)
+            }
+        }
+    };
+
+    assert.deepEqual(validateSchema(schema, { from: '2025-02-01', to: '2025-01-01' }), [
+        { field: 'to', message: 'to must not be before from' }
+    ]);
+    assert.deepEqual(validateSchema(schema, { from: '2025-01-01', to: '2025-02-01' }), []);
+});
+
+test('atLeastOne groups and check run after the fields', () => {
+    const schema = {
+        fields: { userId: { type: 'string' }, segment: { type: 'string' } },
+        atLeastOne: [['userId', 'segment']],
+        check: (values) => (values.userId && values.segment ? [{ field: 'userId|segment', message: 'Only one' }] : [])
+    };
+
+    assert.deepEqual(validateSchema(schema, {}), [
+        { field: 'userId|segment', message: 'Either userId or segment must be provided' }
+    ]);
+    assert.deepEqual(validateSchema(schema, { userId: 'u1', segment: 'All' }), [{ field: 'userId|segment', message: 'Only one' }]);
+});
+
+test('input that is not a plain object is validated as empty', () => {
+    const schema = { fields: { title: { type: 'string', required: true } } };
+
+    assert.deepEqual(fieldsOf(validateSchema(schema, ['title'])), ['title']);
+    assert.deepEqual(fieldsOf(validateSchema(schema, undefined)), ['title']);
+});
+
+test('query strings are plain objects and numeric checks their shape', () => {
+    const query = Object.assign(Object.create(null), { limit: '20', page: '-1' });
+    const schema = { fields: { limit: { type: 'numeric' }, page: { type: 'numeric' } } };
+
+    assert.deepEqual(fieldsOf(validateSchema(schema, query)), ['page']);
+});
+
+test('phone numbers must be E.164', () => {
+    assert.ok(PHONE_REGEX.test('+14155550123'));
+    assert.ok(PHONE_REGEX.test('+123456789012345'));
+    assert.ok(!PHONE_REGEX.test('+1234567890123456'));
+    assert.ok(!PHONE_REGEX.test('+04155550123'));
+    assert.ok(!PHONE_REGEX.test('14155550123'));
+});